@@ -0,0 +1,59 @@
+import { LitElement, html, css } from 'lit';
+
+/**
+ * AboutApp Component
+ * Bio, skills and experience
+ */
+export class AboutApp extends LitElement {
+  static styles = css`
+    :host {
+      display: block;
+      height: 100%;
+    }
+  `;
+
+  render() {
+    return html`
+      <div style="padding: var(--spacing-lg); display: flex; flex-direction: column; gap: var(--spacing-md); height: 100%; overflow-y: auto;">
+        <div style="display: flex; align-items: center; gap: var(--spacing-lg);">
+          <div style="font-size: 64px;">👤</div>
+          <div>
+            <h2 style="margin: 0;">Ben Walley</h2>
+            <p style="margin: var(--spacing-xs) 0 0 0; color: var(--color-text-secondary);">Full Stack Developer</p>
+          </div>
+        </div>
+
+        <div style="flex: 1; display: flex; flex-direction: column; gap: var(--spacing-md);">
+          <section>
+            <h3 style="margin: 0 0 var(--spacing-sm) 0;">About</h3>
+            <p style="line-height: 1.6;">
+              Welcome to my interactive portfolio! This OS-style interface showcases my work and skills
+              in a unique and engaging way. Feel free to explore the different applications.
+            </p>
+          </section>
+
+          <section>
+            <h3 style="margin: 0 0 var(--spacing-sm) 0;">Skills</h3>
+            <div style="display: flex; flex-wrap: wrap; gap: var(--spacing-xs);">
+              ${['JavaScript', 'TypeScript', 'React', 'Node.js', 'Lit', 'CSS', 'HTML', 'Git'].map(skill => html`
+                <span style="background: var(--color-surface); padding: var(--spacing-xs) var(--spacing-sm);
+                             border-radius: var(--radius-sm); font-size: var(--font-size-sm);">
+                  ${skill}
+                </span>
+              `)}
+            </div>
+          </section>
+
+          <section>
+            <h3 style="margin: 0 0 var(--spacing-sm) 0;">Experience</h3>
+            <p style="line-height: 1.6; color: var(--color-text-secondary);">
+              Building modern web applications with focus on user experience and clean architecture.
+            </p>
+          </section>
+        </div>
+      </div>
+    `;
+  }
+}
+
+customElements.define('about-app', AboutApp);
@@ -0,0 +1,60 @@
+import { LitElement, html, css } from 'lit';
+
+/**
+ * ContactApp Component
+ * Email and social links
+ */
+export class ContactApp extends LitElement {
+  static styles = css`
+    :host {
+      display: block;
+      height: 100%;
+    }
+  `;
+
+  render() {
+    return html`
+      <div style="padding: var(--spacing-lg); height: 100%; overflow-y: auto;">
+        <h2 style="margin: 0 0 var(--spacing-md) 0;">Get in Touch</h2>
+        <div style="display: flex; flex-direction: column; gap: var(--spacing-lg);">
+          <div style="display: flex; flex-direction: column; gap: var(--spacing-md);">
+            <a href="mailto:ben@example.com" style="display: flex; align-items: center; gap: var(--spacing-sm);
+                                                     padding: var(--spacing-md); background: var(--color-surface);
+                                                     border-radius: var(--radius-md); text-decoration: none;
+                                                     color: var(--color-text-primary); transition: all var(--transition-fast);">
+              <span style="font-size: 24px;">📧</span>
+              <div>
+                <div style="font-weight: var(--font-weight-medium);">Email</div>
+                <div style="font-size: var(--font-size-sm); color: var(--color-text-secondary);">ben@example.com</div>
+              </div>
+            </a>
+
+            <a href="https://github.com" target="_blank" style="display: flex; align-items: center; gap: var(--spacing-sm);
+                                                                  padding: var(--spacing-md); background: var(--color-surface);
+                                                                  border-radius: var(--radius-md); text-decoration: none;
+                                                                  color: var(--color-text-primary);">
+              <span style="font-size: 24px;">💻</span>
+              <div>
+                <div style="font-weight: var(--font-weight-medium);">GitHub</div>
+                <div style="font-size: var(--font-size-sm); color: var(--color-text-secondary);">github.com/benwalley</div>
+              </div>
+            </a>
+
+            <a href="https://linkedin.com" target="_blank" style="display: flex; align-items: center; gap: var(--spacing-sm);
+                                                                    padding: var(--spacing-md); background: var(--color-surface);
+                                                                    border-radius: var(--radius-md); text-decoration: none;
+                                                                    color: var(--color-text-primary);">
+              <span style="font-size: 24px;">💼</span>
+              <div>
+                <div style="font-weight: var(--font-weight-medium);">LinkedIn</div>
+                <div style="font-size: var(--font-size-sm); color: var(--color-text-secondary);">linkedin.com/in/benwalley</div>
+              </div>
+            </a>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+}
+
+customElements.define('contact-app', ContactApp);
@@ -0,0 +1,99 @@
+import { LitElement, html, css } from 'lit';
+import { ContextConsumer } from '@lit/context';
+import { appStateContext } from '../context/app-state.js';
+
+const HOME_PATH = '~/Desktop';
+
+/**
+ * FilesApp Component
+ * Placeholder file browser; opens the folder given by the window's path argument
+ * and stores the folder it is showing in its window data, so it reopens there
+ */
+export class FilesApp extends LitElement {
+  static properties = {
+    windowId: { type: String },
+    data: { type: Object }
+  };
+
+  static styles = css`
+    :host {
+      display: block;
+      height: 100%;
+    }
+  `;
+
+  constructor() {
+    super();
+    this.windowId = null;
+    this.data = {};
+
+    // Consume context
+    new ContextConsumer(
+      this,
+      { context: appStateContext, callback: (value) => {
+        this.appState = value;
+      }, subscribe: true }
+    );
+  }
+
+  get _path() {
+    return this.data?.path || HOME_PATH;
+  }
+
+  _openFolder(path) {
+    this.appState?.updateWindowData(this.windowId, { path });
+  }
+
+  _openParentFolder() {
+    this._openFolder(this._path.slice(0, this._path.lastIndexOf('/')));
+  }
+
+  render() {
+    return html`
+      <div style="padding: var(--spacing-lg); height: 100%; overflow-y: auto;">
+        <h2 style="margin: 0 0 var(--spacing-md) 0;">Files</h2>
+        <div style="border: 1px solid var(--color-border); border-radius: var(--radius-md); overflow: hidden;">
+          <div style="background: var(--color-surface); padding: var(--spacing-sm) var(--spacing-md);
+                      border-bottom: 1px solid var(--color-border); font-size: var(--font-size-sm);
+                      font-weight: var(--font-weight-medium);">
+            ${this._path}
+          </div>
+          <div style="padding: var(--spacing-md);">
+            ${this._path.startsWith(`${HOME_PATH}/`) ? html`
+              <div style="display: flex; align-items: center; gap: var(--spacing-sm);
+                          padding: var(--spacing-sm); border-radius: var(--radius-sm);
+                          cursor: pointer; transition: background var(--transition-fast);"
+                   @mouseenter=${(e) => e.target.style.background = 'var(--color-surface-hover)'}
+                   @mouseleave=${(e) => e.target.style.background = 'transparent'}
+                   @click=${this._openParentFolder}>
+                <span style="font-size: 20px;">⬆️</span>
+                <span style="font-size: var(--font-size-sm);">..</span>
+              </div>
+            ` : ''}
+            ${[
+              { name: 'Documents', icon: '📄', type: 'folder' },
+              { name: 'Images', icon: '🖼️', type: 'folder' },
+              { name: 'Projects', icon: '📁', type: 'folder' },
+              { name: 'README.md', icon: '📝', type: 'file' }
+            ].map(item => html`
+              <div style="display: flex; align-items: center; gap: var(--spacing-sm);
+                          padding: var(--spacing-sm); border-radius: var(--radius-sm);
+                          cursor: pointer; transition: background var(--transition-fast);"
+                   @mouseenter=${(e) => e.target.style.background = 'var(--color-surface-hover)'}
+                   @mouseleave=${(e) => e.target.style.background = 'transparent'}
+                   @click=${() => item.type === 'folder' && this._openFolder(`${this._path}/${item.name}`)}>
+                <span style="font-size: 20px;">${item.icon}</span>
+                <span style="font-size: var(--font-size-sm);">${item.name}</span>
+              </div>
+            `)}
+          </div>
+        </div>
+        <p style="margin-top: var(--spacing-lg); color: var(--color-text-secondary); font-size: var(--font-size-sm);">
+          File browser functionality coming soon...
+        </p>
+      </div>
+    `;
+  }
+}
+
+customElements.define('files-app', FilesApp);
@@ -0,0 +1,43 @@
+import { LitElement, html, css } from 'lit';
+
+/**
+ * ProjectsApp Component
+ * Portfolio project list
+ */
+export class ProjectsApp extends LitElement {
+  static styles = css`
+    :host {
+      display: block;
+      height: 100%;
+    }
+  `;
+
+  render() {
+    return html`
+      <div style="padding: var(--spacing-lg); height: 100%; overflow-y: auto;">
+        <h2 style="margin: 0 0 var(--spacing-md) 0;">Projects</h2>
+        <div style="display: grid; gap: var(--spacing-md);">
+          ${[
+            { name: 'Portfolio OS', desc: 'Interactive desktop-style portfolio built with Lit', emoji: '🖥️' },
+            { name: 'Web App Dashboard', desc: 'Modern analytics dashboard with real-time data', emoji: '📊' },
+            { name: 'E-commerce Platform', desc: 'Full-stack shopping experience with payment integration', emoji: '🛒' }
+          ].map(project => html`
+            <div style="border: 1px solid var(--color-border); border-radius: var(--radius-md);
+                        padding: var(--spacing-md); background: var(--color-surface);">
+              <div style="display: flex; align-items: center; gap: var(--spacing-md);">
+                <div style="font-size: 32px;">${project.emoji}</div>
+                <div style="flex: 1;">
+                  <h3 style="margin: 0; font-size: var(--font-size-md);">${project.name}</h3>
+                  <p style="margin: var(--spacing-xs) 0 0 0; color: var(--color-text-secondary);
+                            font-size: var(--font-size-sm);">${project.desc}</p>
+                </div>
+              </div>
+            </div>
+          `)}
+        </div>
+      </div>
+    `;
+  }
+}
+
+customElements.define('projects-app', ProjectsApp);
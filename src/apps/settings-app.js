@@ -0,0 +1,450 @@
+import { LitElement, html, css } from 'lit';
+import { ContextConsumer } from '@lit/context';
+import { appStateContext } from '../context/app-state.js';
+import { shallowEqual } from '../utils/selectors.js';
+import { readJsonFile } from '../utils/file-transfer.js';
+
+/**
+ * Slice of state shown in Settings
+ */
+const selectSettingsState = (state) => ({
+  preferences: state.preferences,
+  workspaces: state.workspaces,
+  windowMemory: state.windowMemory
+});
+
+/**
+ * SettingsApp Component
+ * Preferences, workspaces, backup and keyboard shortcut reference
+ */
+export class SettingsApp extends LitElement {
+  static properties = {
+    _state: { state: true },
+    _workspaceName: { state: true },
+    _importPreview: { state: true }
+  };
+
+  static styles = css`
+    :host {
+      display: block;
+      height: 100%;
+    }
+
+    .settings {
+      padding: var(--spacing-lg);
+      height: 100%;
+      overflow-y: auto;
+    }
+
+    h2 {
+      margin: 0 0 var(--spacing-md) 0;
+    }
+
+    .sections {
+      display: flex;
+      flex-direction: column;
+      gap: var(--spacing-lg);
+    }
+
+    h3 {
+      margin: 0 0 var(--spacing-sm) 0;
+      font-size: var(--font-size-md);
+    }
+
+    .hint {
+      margin: 0 0 var(--spacing-sm) 0;
+      color: var(--color-text-secondary);
+      font-size: var(--font-size-sm);
+    }
+
+    .option {
+      display: flex;
+      align-items: center;
+      gap: var(--spacing-sm);
+      font-size: var(--font-size-sm);
+    }
+
+    .workspace-form {
+      display: flex;
+      gap: var(--spacing-sm);
+      margin-bottom: var(--spacing-sm);
+    }
+
+    .workspace-form input {
+      flex: 1;
+      padding: var(--spacing-xs) var(--spacing-sm);
+      font-size: var(--font-size-sm);
+      color: var(--color-text-primary);
+      background: var(--color-surface);
+      border: 1px solid var(--color-border);
+      border-radius: var(--radius-sm);
+    }
+
+    button {
+      padding: var(--spacing-xs) var(--spacing-sm);
+      font-size: var(--font-size-sm);
+      color: var(--color-text-primary);
+      background: var(--color-surface);
+      border: 1px solid var(--color-border);
+      border-radius: var(--radius-sm);
+      cursor: pointer;
+      transition: all var(--transition-fast);
+    }
+
+    button:hover {
+      background: var(--color-surface-hover);
+      border-color: var(--color-border-focus);
+    }
+
+    button:disabled {
+      opacity: 0.5;
+      cursor: default;
+    }
+
+    .workspace-list {
+      display: flex;
+      flex-direction: column;
+      gap: var(--spacing-xs);
+      margin: 0;
+      padding: 0;
+      list-style: none;
+    }
+
+    .workspace-item {
+      display: flex;
+      align-items: center;
+      gap: var(--spacing-sm);
+      font-size: var(--font-size-sm);
+    }
+
+    .workspace-name {
+      flex: 1;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .workspace-meta {
+      color: var(--color-text-secondary);
+    }
+
+    .actions {
+      display: flex;
+      flex-wrap: wrap;
+      gap: var(--spacing-sm);
+    }
+
+    .file-input {
+      display: none;
+    }
+
+    .import-preview {
+      margin-top: var(--spacing-sm);
+      padding: var(--spacing-sm) var(--spacing-md);
+      background: var(--color-surface);
+      border: 1px solid var(--color-border);
+      border-radius: var(--radius-md);
+      font-size: var(--font-size-sm);
+    }
+
+    .import-preview ul {
+      margin: var(--spacing-xs) 0 var(--spacing-sm) 0;
+      padding-left: var(--spacing-lg);
+    }
+
+    .import-preview .error {
+      color: var(--color-error);
+    }
+
+    .import-preview .warning {
+      color: var(--color-text-secondary);
+    }
+
+    .shortcuts {
+      display: flex;
+      flex-direction: column;
+      gap: var(--spacing-xs);
+      font-size: var(--font-size-sm);
+    }
+
+    .shortcut {
+      display: flex;
+      justify-content: space-between;
+    }
+
+    code {
+      background: var(--color-surface);
+      padding: 2px 6px;
+      border-radius: var(--radius-sm);
+    }
+  `;
+
+  constructor() {
+    super();
+    this._state = null;
+    this._workspaceName = '';
+    this._importPreview = null;
+    this._importData = null;
+    this._unsubscribe = null;
+
+    // Consume context
+    new ContextConsumer(
+      this,
+      { context: appStateContext, callback: (value) => {
+        this.appState = value;
+        if (this._unsubscribe) {
+          this._unsubscribe();
+        }
+        if (value) {
+          this._state = selectSettingsState(value.getState());
+          this._unsubscribe = value.subscribe(selectSettingsState, (state) => {
+            this._state = state;
+          }, shallowEqual);
+        }
+      }, subscribe: true }
+    );
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+  }
+
+  _handleSaveWorkspace(e) {
+    e.preventDefault();
+    if (!this.appState) return;
+
+    if (this.appState.saveWorkspace(this._workspaceName)) {
+      this._workspaceName = '';
+    }
+  }
+
+  _handleImportClick() {
+    this.shadowRoot.querySelector('.file-input').click();
+  }
+
+  /**
+   * Read the chosen file and show a dry-run preview before applying
+   */
+  async _handleImportFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file || !this.appState) return;
+
+    try {
+      this._importData = await readJsonFile(file);
+      this._importPreview = this.appState.previewImport(this._importData);
+    } catch {
+      this._importData = null;
+      this._importPreview = {
+        valid: false,
+        errors: [`${file.name} is not valid JSON`],
+        warnings: [],
+        changes: []
+      };
+    }
+  }
+
+  async _handleApplyImport() {
+    if (!this.appState || !this._importData) return;
+    const { applied } = await this.appState.importState(this._importData);
+    // Keep the preview if a window refused to close, so the import can be retried
+    if (applied) {
+      this._handleCancelImport();
+    }
+  }
+
+  _handleCancelImport() {
+    this._importData = null;
+    this._importPreview = null;
+  }
+
+  _renderImportPreview() {
+    const { valid, errors, warnings, changes } = this._importPreview;
+
+    return html`
+      <div class="import-preview" role="status">
+        ${errors.map(error => html`<div class="error">${error}</div>`)}
+        ${warnings.map(warning => html`<div class="warning">${warning}</div>`)}
+        ${valid ? html`
+          ${changes.length === 0 ? html`
+            <p class="hint">The file matches the current desktop.</p>
+          ` : html`
+            <div>Importing will:</div>
+            <ul>
+              ${changes.map(change => html`<li>${change}</li>`)}
+            </ul>
+          `}
+        ` : ''}
+        <div class="actions">
+          ${valid ? html`<button @click=${this._handleApplyImport}>Apply import</button>` : ''}
+          <button @click=${this._handleCancelImport}>${valid ? 'Cancel' : 'Dismiss'}</button>
+        </div>
+      </div>
+    `;
+  }
+
+  _renderBackup() {
+    return html`
+      <section>
+        <h3>Backup</h3>
+        <p class="hint">Export the theme, windows, icon positions and workspaces to a JSON file, or import one.</p>
+        <div class="actions">
+          <button @click=${() => this.appState.exportToFile()}>Export desktop</button>
+          <button @click=${this._handleImportClick}>Import…</button>
+          <input
+            class="file-input"
+            type="file"
+            accept="application/json,.json"
+            @change=${this._handleImportFile}
+          >
+        </div>
+        ${this._importPreview ? this._renderImportPreview() : ''}
+      </section>
+    `;
+  }
+
+  _renderWorkspaces() {
+    const workspaces = this.appState.listWorkspaces();
+
+    return html`
+      <section>
+        <h3>Workspaces</h3>
+        <p class="hint">Save the current windows, icon positions and theme, then restore them later.</p>
+        <form class="workspace-form" @submit=${this._handleSaveWorkspace}>
+          <input
+            type="text"
+            placeholder="Workspace name"
+            aria-label="Workspace name"
+            .value=${this._workspaceName}
+            @input=${(e) => { this._workspaceName = e.target.value; }}
+          >
+          <button type="submit" ?disabled=${!this._workspaceName.trim()}>Save</button>
+        </form>
+
+        ${workspaces.length === 0 ? html`
+          <p class="hint">No saved workspaces yet.</p>
+        ` : html`
+          <ul class="workspace-list">
+            ${workspaces.map(workspace => html`
+              <li class="workspace-item">
+                <span class="workspace-name">${workspace.name}</span>
+                <span class="workspace-meta">
+                  ${workspace.windows.length} ${workspace.windows.length === 1 ? 'window' : 'windows'}
+                </span>
+                <button
+                  @click=${() => this.appState.restoreWorkspace(workspace.name)}
+                  aria-label="Restore workspace ${workspace.name}"
+                >Restore</button>
+                <button
+                  @click=${() => this.appState.deleteWorkspace(workspace.name)}
+                  aria-label="Delete workspace ${workspace.name}"
+                >Delete</button>
+              </li>
+            `)}
+          </ul>
+        `}
+      </section>
+    `;
+  }
+
+  render() {
+    if (!this.appState || !this._state) return html``;
+
+    return html`
+      <div class="settings">
+        <h2>Settings</h2>
+        <div class="sections">
+          <section>
+            <h3>Appearance</h3>
+            <p class="hint">Change theme using the theme switcher in the top bar</p>
+          </section>
+
+          <section>
+            <h3>Desktop</h3>
+            <p class="hint">Drag icons to customize your desktop layout. Positions are saved automatically.</p>
+            <label class="option">
+              <input
+                type="checkbox"
+                .checked=${Boolean(this._state.preferences.snapThirds)}
+                @change=${(e) => this.appState.setPreference('snapThirds', e.target.checked)}
+              >
+              Snap windows to thirds on wide screens
+            </label>
+            <p class="hint">Apps reopen where they were last closed.</p>
+            <div class="actions">
+              <button
+                ?disabled=${Object.keys(this._state.windowMemory).length === 0}
+                @click=${() => this.appState.resetWindowMemory()}
+              >Reset window positions</button>
+            </div>
+          </section>
+
+          ${this._renderWorkspaces()}
+
+          ${this._renderBackup()}
+
+          <section>
+            <h3>Tabs</h3>
+            <p class="hint">Theme, icon positions and desktop preferences stay in sync across open tabs.</p>
+            <label class="option">
+              <input
+                type="checkbox"
+                .checked=${Boolean(this._state.preferences.mirrorWindows)}
+                @change=${(e) => this.appState.setPreference('mirrorWindows', e.target.checked)}
+              >
+              Mirror window layout across tabs
+            </label>
+          </section>
+
+          <section>
+            <h3>Keyboard Shortcuts</h3>
+            <div class="shortcuts">
+              <div class="shortcut">
+                <span>Close Window</span>
+                <code>Cmd/Ctrl + Q</code>
+              </div>
+              <div class="shortcut">
+                <span>Minimize Window</span>
+                <code>Cmd/Ctrl + M</code>
+              </div>
+              <div class="shortcut">
+                <span>Maximize Window</span>
+                <code>Cmd/Ctrl + F</code>
+              </div>
+              <div class="shortcut">
+                <span>Move/Resize with Keyboard</span>
+                <code>Cmd/Ctrl + K</code>
+              </div>
+              <div class="shortcut">
+                <span>Snap Window</span>
+                <code>Cmd/Ctrl + Shift + Arrows</code>
+              </div>
+              <div class="shortcut">
+                <span>Window Overview</span>
+                <code>Cmd/Ctrl + Shift + E</code>
+              </div>
+              <div class="shortcut">
+                <span>Tile / Cascade Windows</span>
+                <code>Cmd/Ctrl + Shift + G / L</code>
+              </div>
+              <div class="shortcut">
+                <span>Master/Stack Tiling</span>
+                <code>Cmd/Ctrl + Shift + S</code>
+              </div>
+              <div class="shortcut">
+                <span>Undo / Redo</span>
+                <code>Cmd/Ctrl + Z / Shift + Z</code>
+              </div>
+            </div>
+          </section>
+        </div>
+      </div>
+    `;
+  }
+}
+
+customElements.define('settings-app', SettingsApp);
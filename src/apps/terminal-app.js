@@ -0,0 +1,37 @@
+import { LitElement, html, css } from 'lit';
+
+/**
+ * TerminalApp Component
+ * Command line placeholder
+ */
+export class TerminalApp extends LitElement {
+  static styles = css`
+    :host {
+      display: block;
+      height: 100%;
+    }
+
+    @keyframes blink {
+      0%, 50% { opacity: 1; }
+      51%, 100% { opacity: 0; }
+    }
+  `;
+
+  render() {
+    return html`
+      <div style="padding: var(--spacing-md); height: 100%; background: #1e1e1e; font-family: 'Monaco', 'Courier New', monospace;">
+        <div style="color: #00ff00; font-size: var(--font-size-sm);">
+          <p style="margin: 0;">Portfolio OS Terminal v1.0.0</p>
+          <p style="margin: var(--spacing-xs) 0;">Type 'help' for available commands.</p>
+          <br>
+          <p style="margin: 0; color: #888;">$ <span style="animation: blink 1s infinite;">_</span></p>
+        </div>
+        <p style="margin-top: var(--spacing-lg); color: #666; font-size: var(--font-size-sm);">
+          Terminal functionality coming soon...
+        </p>
+      </div>
+    `;
+  }
+}
+
+customElements.define('terminal-app', TerminalApp);
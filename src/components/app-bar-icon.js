@@ -1,5 +1,5 @@
 import {LitElement, html, css} from 'lit';
-import {getAppByComponent} from '../utils/app-registry.js';
+import {getAppByComponent, subscribeToApps} from '../utils/app-registry.js';
 
 /**
  * AppBarIcon Component
@@ -133,6 +133,21 @@ export class AppBarIcon extends LitElement {
         super();
         this.windowData = null;
         this.appState = null;
+        this._unsubscribeApps = null;
+    }
+
+    connectedCallback() {
+        super.connectedCallback();
+        // The icon comes from the registry, which plugins can change at runtime
+        this._unsubscribeApps = subscribeToApps(() => this.requestUpdate());
+    }
+
+    disconnectedCallback() {
+        super.disconnectedCallback();
+        if (this._unsubscribeApps) {
+            this._unsubscribeApps();
+            this._unsubscribeApps = null;
+        }
     }
 
     _getAppIcon() {
@@ -140,9 +155,16 @@ export class AppBarIcon extends LitElement {
         return app?.icon || '📄';
     }
 
-    _handleAppClick() {
+    _handleAppClick(e) {
         if (!this.appState) return;
 
+        // Shift-click opens another window of the app, if its launch policy allows one
+        const app = getAppByComponent(this.windowData.component);
+        if (e.shiftKey && app) {
+            this.appState.launchApp(app.id, {newInstance: true});
+            return;
+        }
+
         if (this.windowData.isMinimized || !this.windowData.isFocused) {
             this.appState.restoreWindow(this.windowData.id);
         } else {
@@ -153,7 +175,7 @@ export class AppBarIcon extends LitElement {
     _handleCloseClick(e) {
         e.stopPropagation();
         if (!this.appState) return;
-        this.appState.closeWindow(this.windowData.id);
+        this.appState.requestCloseWindow(this.windowData.id);
     }
 
     render() {
@@ -1,6 +1,8 @@
 import {LitElement, html, css} from 'lit';
 import {ContextConsumer} from '@lit/context';
 import {appStateContext} from '../context/app-state.js';
+import {selectAppBarItems, listEqual} from '../utils/selectors.js';
+import {getAppByComponent} from '../utils/app-registry.js';
 import './app-bar-icon.js';
 
 /**
@@ -9,7 +11,7 @@ import './app-bar-icon.js';
  */
 export class AppBar extends LitElement {
     static properties = {
-        _state: {state: true}
+        _items: {state: true}
     };
 
     static styles = css`
@@ -36,6 +38,32 @@ export class AppBar extends LitElement {
             height: 4px;
         }
 
+        .app-group {
+            position: relative;
+            display: flex;
+            align-items: center;
+            gap: 2px;
+            padding: 0 2px;
+            border-radius: var(--radius-md);
+            background: var(--color-surface);
+        }
+
+        .group-count {
+            position: absolute;
+            top: 2px;
+            left: 2px;
+            min-width: 16px;
+            height: 16px;
+            padding: 0 4px;
+            border-radius: 8px;
+            background: var(--color-primary);
+            color: #fff;
+            font-size: 10px;
+            line-height: 16px;
+            text-align: center;
+            pointer-events: none;
+        }
+
         .empty-state {
             display: flex;
             align-items: center;
@@ -49,7 +77,7 @@ export class AppBar extends LitElement {
 
     constructor() {
         super();
-        this._state = {windows: []};
+        this._items = [];
         this._unsubscribe = null;
 
         // Consume context
@@ -62,11 +90,11 @@ export class AppBar extends LitElement {
                         this._unsubscribe();
                     }
                     if (value) {
-                        this._state = value.getState();
-                        this._unsubscribe = value.subscribe((state) => {
-                            this._state = state;
-                            this.requestUpdate();
-                        });
+                        // Ignore geometry changes; only title/focus/minimize matter here
+                        this._items = selectAppBarItems(value.getState());
+                        this._unsubscribe = value.subscribe(selectAppBarItems, (items) => {
+                            this._items = items;
+                        }, listEqual);
                     }
                 }, subscribe: true
             }
@@ -80,8 +108,33 @@ export class AppBar extends LitElement {
         }
     }
 
+    /**
+     * Windows of the same app, grouped in order of each app's first window
+     * @param {Object[]} items - App bar items
+     * @returns {Object[][]}
+     */
+    _groupByApp(items) {
+        const groups = new Map();
+        items.forEach(item => {
+            if (!groups.has(item.component)) {
+                groups.set(item.component, []);
+            }
+            groups.get(item.component).push(item);
+        });
+        return Array.from(groups.values());
+    }
+
+    _renderIcon(windowData) {
+        return html`
+            <app-bar-icon
+                .windowData=${windowData}
+                .appState=${this.appState}
+            ></app-bar-icon>
+        `;
+    }
+
     render() {
-        const windows = this._state.windows;
+        const windows = this._items;
 
         if (windows.length === 0) {
             return html`
@@ -95,12 +148,18 @@ export class AppBar extends LitElement {
 
         return html`
             <div class="appbar">
-                ${windows.map(windowData => html`
-                    <app-bar-icon
-                        .windowData=${windowData}
-                        .appState=${this.appState}
-                    ></app-bar-icon>
-                `)}
+                ${this._groupByApp(windows).map(group => group.length === 1
+                    ? this._renderIcon(group[0])
+                    : html`
+                        <div
+                            class="app-group"
+                            role="group"
+                            aria-label="${getAppByComponent(group[0].component)?.name || group[0].title}, ${group.length} windows"
+                        >
+                            ${group.map(windowData => this._renderIcon(windowData))}
+                            <span class="group-count" aria-hidden="true">${group.length}</span>
+                        </div>
+                    `)}
             </div>
         `;
     }
@@ -1,10 +1,15 @@
 import { LitElement, html, css } from 'lit';
+import { repeat } from 'lit/directives/repeat.js';
 import { ContextProvider } from '@lit/context';
 import { appStateContext, appState } from '../context/app-state.js';
+import { selectWindowIds, shallowEqual } from '../utils/selectors.js';
+import { TILING_MODES } from '../utils/constants.js';
 import './top-bar.js';
 import './app-bar.js';
 import './os-window.js';
 import './desktop-icons-grid.js';
+import './window-overview.js';
+import './window-switcher.js';
 
 /**
  * AppDesktop Component
@@ -12,7 +17,10 @@ import './desktop-icons-grid.js';
  */
 export class AppDesktop extends LitElement {
   static properties = {
-    _state: { state: true }
+    _windowIds: { state: true },
+    _snapPreview: { state: true },
+    _showOverview: { state: true },
+    _switcher: { state: true }
   };
 
   static styles = css`
@@ -63,6 +71,18 @@ export class AppDesktop extends LitElement {
       pointer-events: auto;
     }
 
+    /* Where a dragged window will land if dropped */
+    .snap-preview {
+      position: absolute;
+      background: var(--color-primary);
+      opacity: 0.2;
+      border: 2px solid var(--color-primary);
+      border-radius: var(--radius-md);
+      pointer-events: none;
+      transition: left var(--transition-fast), top var(--transition-fast),
+                  width var(--transition-fast), height var(--transition-fast);
+    }
+
     /* Keyboard shortcuts info (hidden by default) */
     .shortcuts-info {
       position: absolute;
@@ -87,7 +107,10 @@ export class AppDesktop extends LitElement {
 
   constructor() {
     super();
-    this._state = appState.getState();
+    this._windowIds = selectWindowIds(appState.getState());
+    this._snapPreview = null;
+    this._showOverview = false;
+    this._switcher = null; // {windows, selectedIndex} while the switch shortcut is held
     this._unsubscribe = null;
 
     // Provide context to child components
@@ -96,20 +119,24 @@ export class AppDesktop extends LitElement {
     // Create debounced handler in constructor to avoid recreation
     this._handleResize = this._createDebouncedResizeHandler();
     this._handleKeydown = this._onKeyDown.bind(this);
+    this._handleKeyup = this._onKeyUp.bind(this);
+    this._handleBlur = this._cancelSwitcher.bind(this);
     this._handleDesktopClick = this._onDesktopClick.bind(this);
   }
 
   connectedCallback() {
     super.connectedCallback();
 
-    // Subscribe to state changes
-    this._unsubscribe = appState.subscribe((state) => {
-      this._state = state;
-      this.requestUpdate();
-    });
+    // Only re-render when windows open or close; each os-window
+    // subscribes to its own record for moves, focus, etc.
+    this._unsubscribe = appState.subscribe(selectWindowIds, (windowIds) => {
+      this._windowIds = windowIds;
+    }, shallowEqual);
 
     window.addEventListener('resize', this._handleResize);
     window.addEventListener('keydown', this._handleKeydown);
+    window.addEventListener('keyup', this._handleKeyup);
+    window.addEventListener('blur', this._handleBlur);
 
     // Initialize desktop size
     appState.updateDesktopSize({
@@ -129,20 +156,44 @@ export class AppDesktop extends LitElement {
 
     window.removeEventListener('resize', this._handleResize);
     window.removeEventListener('keydown', this._handleKeydown);
+    window.removeEventListener('keyup', this._handleKeyup);
+    window.removeEventListener('blur', this._handleBlur);
+  }
+
+  /**
+   * More reliable platform detection
+   */
+  _isMac() {
+    return navigator.userAgentData?.platform === 'macOS' ||
+           navigator.platform.includes('Mac') ||
+           /Mac|iPhone|iPod|iPad/.test(navigator.platform);
   }
 
   /**
    * Handle keyboard shortcuts
    */
   _onKeyDown(e) {
-    // More reliable platform detection
-    const isMac = navigator.userAgentData?.platform === 'macOS' ||
-                  navigator.platform.includes('Mac') ||
-                  /Mac|iPhone|iPod|iPad/.test(navigator.platform);
-    const modifier = isMac ? e.metaKey : e.ctrlKey;
+    const modifier = this._isMac() ? e.metaKey : e.ctrlKey;
+
+    if (this._switcher && e.key === 'Escape') {
+      // Dismiss the switcher without changing focus
+      e.preventDefault();
+      this._cancelSwitcher();
+      return;
+    }
 
     if (!modifier) return;
 
+    if (e.key.toLowerCase() === 'e' && e.shiftKey) {
+      // Toggle the overview of all windows
+      e.preventDefault();
+      this._toggleOverview();
+      return;
+    }
+
+    // Leave the windows alone while the overview covers them
+    if (this._showOverview) return;
+
     const focusedWindow = appState.getFocusedWindow();
 
     switch(e.key.toLowerCase()) {
@@ -150,7 +201,7 @@ export class AppDesktop extends LitElement {
         // Close focused window
         if (focusedWindow) {
           e.preventDefault();
-          appState.closeWindow(focusedWindow.id);
+          appState.requestCloseWindow(focusedWindow.id);
         }
         break;
 
@@ -184,26 +235,155 @@ export class AppDesktop extends LitElement {
         this._openTerminal();
         break;
 
+      case 'z':
+        // Undo (Shift to redo), leaving text fields their native undo
+        if (!this._isEditableTarget(e)) {
+          e.preventDefault();
+          if (e.shiftKey) {
+            appState.redo();
+          } else {
+            appState.undo();
+          }
+        }
+        break;
+
+      case 'y':
+        // Redo
+        if (!this._isEditableTarget(e)) {
+          e.preventDefault();
+          appState.redo();
+        }
+        break;
+
+      case 'arrowleft':
+      case 'arrowright':
+      case 'arrowup':
+      case 'arrowdown':
+        // Shift + arrows snap the focused window to halves/quarters/thirds
+        if (focusedWindow && e.shiftKey && !this._isEditableTarget(e)) {
+          e.preventDefault();
+          appState.snapWindowInDirection(focusedWindow.id, e.key.slice('Arrow'.length).toLowerCase());
+        }
+        break;
+
+      case 'k':
+        // Move/resize the focused window with the keyboard
+        if (focusedWindow) {
+          e.preventDefault();
+          this._getWindowElement(focusedWindow.id)?.enterKeyboardMode();
+        }
+        break;
+
+      case 'g':
+        // Tile all visible windows in a grid
+        if (e.shiftKey) {
+          e.preventDefault();
+          appState.tileWindows();
+        }
+        break;
+
+      case 'l':
+        // Cascade all visible windows
+        if (e.shiftKey) {
+          e.preventDefault();
+          appState.cascadeWindows();
+        }
+        break;
+
+      case 's':
+        // Toggle master/stack tiling
+        if (e.shiftKey) {
+          e.preventDefault();
+          appState.setTilingMode(appState.getTilingMode() === TILING_MODES.MASTER_STACK
+            ? TILING_MODES.NONE
+            : TILING_MODES.MASTER_STACK);
+        }
+        break;
+
       case 'tab':
-        // Cycle through windows
-        if (this._state.windows.length > 1) {
+        // Step through windows in most-recently-used order (Shift to go back)
+        if (appState.getState().windows.length > 1) {
           e.preventDefault();
-          this._cycleWindows();
+          this._stepSwitcher(e.shiftKey ? -1 : 1);
         }
         break;
     }
   }
 
   /**
-   * Cycle through open windows
+   * Releasing the modifier switches to the selected window
+   */
+  _onKeyUp(e) {
+    if (this._switcher && e.key === (this._isMac() ? 'Meta' : 'Control')) {
+      this._commitSwitcher();
+    }
+  }
+
+  /**
+   * Check whether a keyboard event originated in an editable element
+   */
+  _isEditableTarget(e) {
+    const target = e.composedPath()[0];
+    if (!(target instanceof HTMLElement)) return false;
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+  }
+
+  /**
+   * Find the rendered os-window for a window ID
+   * @param {string} id - Window ID
+   * @returns {HTMLElement|undefined}
+   */
+  _getWindowElement(id) {
+    return [...this.shadowRoot.querySelectorAll('os-window')].find(el => el.windowId === id);
+  }
+
+  /**
+   * Show the switcher, or move its selection
+   * The first step lands on the previously used window
+   * @param {number} direction - 1 for forward, -1 for back
+   */
+  _stepSwitcher(direction) {
+    const switcher = this._switcher || {
+      windows: appState.getWindowsByRecentUse(),
+      selectedIndex: 0
+    };
+    const count = switcher.windows.length;
+
+    this._switcher = {
+      ...switcher,
+      selectedIndex: (switcher.selectedIndex + direction + count) % count
+    };
+  }
+
+  /**
+   * Focus the selected window and hide the switcher
    */
-  _cycleWindows() {
-    const windows = [...this._state.windows].sort((a, b) => b.zIndex - a.zIndex);
-    if (windows.length < 2) return;
+  _commitSwitcher() {
+    const { windows, selectedIndex } = this._switcher;
+    this._switcher = null;
+
+    const selected = windows[selectedIndex];
+    // The window may have closed while the switcher was open
+    if (selected && appState.getWindow(selected.id)) {
+      appState.focusWindow(selected.id);
+    }
+  }
+
+  _cancelSwitcher() {
+    this._switcher = null;
+  }
+
+  _handleSwitcherSelect(e) {
+    this._switcher = { ...this._switcher, selectedIndex: e.detail.index };
+    this._commitSwitcher();
+  }
 
-    const currentIndex = windows.findIndex(w => w.isFocused);
-    const nextIndex = (currentIndex + 1) % windows.length;
-    appState.focusWindow(windows[nextIndex].id);
+  _toggleOverview() {
+    this._showOverview = !this._showOverview;
+  }
+
+  _closeOverview() {
+    this._showOverview = false;
   }
 
   /**
@@ -223,10 +403,11 @@ export class AppDesktop extends LitElement {
     const target = e.target;
     const clickedOnWindow = target.closest('os-window');
     const clickedOnIcon = target.closest('desktop-icon');
+    const clickedOnOverlay = target.closest('window-overview, window-switcher');
 
-    // Only minimize if not clicking on windows or icons
-    if (!clickedOnWindow && !clickedOnIcon) {
-      this._state.windows.forEach(windowData => {
+    // Only minimize if not clicking on windows, icons or an overlay
+    if (!clickedOnWindow && !clickedOnIcon && !clickedOnOverlay) {
+      appState.getState().windows.forEach(windowData => {
         if (!windowData.isMinimized) {
           appState.minimizeWindow(windowData.id);
         }
@@ -250,10 +431,27 @@ export class AppDesktop extends LitElement {
     };
   }
 
+  _handleSnapPreview(e) {
+    this._snapPreview = e.detail;
+  }
+
+  _renderSnapPreview() {
+    const { position, size, zIndex } = this._snapPreview;
+
+    // Same z-index as the dragged window but earlier in the DOM, so it
+    // covers other windows and stays under the one being dragged
+    return html`
+      <div
+        class="snap-preview"
+        style="left: ${position.x}px; top: ${position.y}px; width: ${size.width}px; height: ${size.height}px; z-index: ${zIndex};"
+      ></div>
+    `;
+  }
+
   render() {
     return html`
       <div class="desktop">
-        <top-bar></top-bar>
+        <top-bar @overview-toggle=${this._toggleOverview}></top-bar>
 
         <div class="desktop-content" @click=${this._handleDesktopClick}>
           <div class="desktop-background"></div>
@@ -262,18 +460,34 @@ export class AppDesktop extends LitElement {
             <desktop-icons-grid></desktop-icons-grid>
           </div>
 
-          <div class="windows-container">
-            ${this._state.windows.map(windowData => html`
+          <div class="windows-container" @snap-preview=${this._handleSnapPreview}>
+            ${this._snapPreview ? this._renderSnapPreview() : ''}
+            ${repeat(this._windowIds, id => id, id => html`
               <os-window
-                .windowData=${windowData}
-                @close=${() => appState.closeWindow(windowData.id)}
-                @focus=${() => appState.focusWindow(windowData.id)}
-                @minimize=${() => appState.minimizeWindow(windowData.id)}
-                @center=${() => appState.centerWindow(windowData.id)}
-                @maximize=${() => appState.maximizeWindow(windowData.id)}
+                .windowId=${id}
+                .windowData=${appState.getWindow(id)}
+                @close=${() => appState.requestCloseWindow(id)}
+                @focus=${() => appState.focusWindow(id)}
+                @minimize=${() => appState.minimizeWindow(id)}
+                @center=${() => appState.centerWindow(id)}
+                @maximize=${() => appState.maximizeWindow(id)}
+                @togglepin=${() => appState.toggleAlwaysOnTop(id)}
+                @toggleshade=${() => appState.toggleShade(id)}
               ></os-window>
             `)}
           </div>
+
+          ${this._showOverview ? html`
+            <window-overview @overview-close=${this._closeOverview}></window-overview>
+          ` : ''}
+
+          ${this._switcher ? html`
+            <window-switcher
+              .windows=${this._switcher.windows}
+              .selectedIndex=${this._switcher.selectedIndex}
+              @switcher-select=${this._handleSwitcherSelect}
+            ></window-switcher>
+          ` : ''}
         </div>
 
         <app-bar></app-bar>
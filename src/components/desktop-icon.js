@@ -64,6 +64,7 @@ export class DesktopIcon extends LitElement {
       display: flex;
       flex-direction: column;
       align-items: center;
+      touch-action: none;
       gap: var(--spacing-xs);
       padding: var(--spacing-xs);
       border-radius: var(--radius-md);
@@ -152,6 +153,7 @@ export class DesktopIcon extends LitElement {
     this._dragStart = null;
     this._originalPosition = null;
     this._hasDragged = false;
+    this._pointerId = null;
   }
 
   updated(changedProperties) {
@@ -171,7 +173,10 @@ export class DesktopIcon extends LitElement {
     }
   }
 
-  _launchApp() {
+  /**
+   * @param {Event} [e] - Shift held asks for a new window even if one is open
+   */
+  _launchApp(e) {
     // Add bounce animation
     this.classList.add('launching');
     setTimeout(() => {
@@ -183,30 +188,33 @@ export class DesktopIcon extends LitElement {
       composed: true,
       detail: {
         appId: this.appData.id,
-        appData: this.appData
+        appData: this.appData,
+        newInstance: Boolean(e?.shiftKey)
       }
     }));
   }
 
-  _handleMouseDown(e) {
-    if (e.button !== 0) return; // Only left click
+  _handlePointerDown(e) {
+    if (e.button !== 0) return; // Only left click / primary touch or pen
+    if (this._pointerId !== null) return; // Already held by another pointer
 
     this._hasDragged = false;
+    this._pointerId = e.pointerId;
     this._dragStart = {
       x: e.clientX,
       y: e.clientY
     };
     this._originalPosition = { ...this.position };
 
-    document.addEventListener('mousemove', this._boundHandleMouseMove);
-    document.addEventListener('mouseup', this._boundHandleMouseUp);
+    // Keep receiving this pointer's events even outside the icon
+    e.currentTarget.setPointerCapture(e.pointerId);
 
     e.preventDefault();
     e.stopPropagation();
   }
 
-  _handleMouseMove(e) {
-    if (!this._dragStart) return;
+  _handlePointerMove(e) {
+    if (!this._dragStart || e.pointerId !== this._pointerId) return;
 
     const deltaX = e.clientX - this._dragStart.x;
     const deltaY = e.clientY - this._dragStart.y;
@@ -235,16 +243,12 @@ export class DesktopIcon extends LitElement {
     }
   }
 
-  _handleMouseUp(e) {
-    if (!this._dragStart) return;
+  _handlePointerUp(e) {
+    if (!this._dragStart || e.pointerId !== this._pointerId) return;
 
     const deltaX = e.clientX - this._dragStart.x;
     const deltaY = e.clientY - this._dragStart.y;
 
-    // Clean up listeners first
-    document.removeEventListener('mousemove', this._boundHandleMouseMove);
-    document.removeEventListener('mouseup', this._boundHandleMouseUp);
-
     // If dragged, dispatch drop event
     if (this._hasDragged) {
       const newPosition = {
@@ -264,13 +268,38 @@ export class DesktopIcon extends LitElement {
       this.dragging = false;
     } else {
       // If not dragged, launch app
-      this._launchApp();
+      this._launchApp(e);
+    }
+
+    this._resetDrag();
+  }
+
+  /**
+   * The browser took the pointer away: put the icon back without launching
+   */
+  _handlePointerCancel(e) {
+    if (!this._dragStart || e.pointerId !== this._pointerId) return;
+
+    if (this._hasDragged) {
+      this.dispatchEvent(new CustomEvent('icon-drag', {
+        bubbles: true,
+        composed: true,
+        detail: {
+          appId: this.appData.id,
+          position: this._originalPosition
+        }
+      }));
+      this.dragging = false;
     }
 
-    // Reset state
+    this._resetDrag();
+  }
+
+  _resetDrag() {
     this._dragStart = null;
     this._originalPosition = null;
     this._hasDragged = false;
+    this._pointerId = null;
   }
 
   _handleKeyDown(e) {
@@ -285,18 +314,6 @@ export class DesktopIcon extends LitElement {
     e.stopPropagation();
   }
 
-  connectedCallback() {
-    super.connectedCallback();
-    this._boundHandleMouseMove = this._handleMouseMove.bind(this);
-    this._boundHandleMouseUp = this._handleMouseUp.bind(this);
-  }
-
-  disconnectedCallback() {
-    super.disconnectedCallback();
-    document.removeEventListener('mousemove', this._boundHandleMouseMove);
-    document.removeEventListener('mouseup', this._boundHandleMouseUp);
-  }
-
   render() {
     if (!this.appData) return html``;
 
@@ -306,7 +323,10 @@ export class DesktopIcon extends LitElement {
         tabindex="0"
         role="button"
         aria-label="${this.appData.description || `Launch ${this.appData.name}`}"
-        @mousedown=${this._handleMouseDown}
+        @pointerdown=${this._handlePointerDown}
+        @pointermove=${this._handlePointerMove}
+        @pointerup=${this._handlePointerUp}
+        @pointercancel=${this._handlePointerCancel}
         @click=${this._handleClick}
         @keydown=${this._handleKeyDown}
       >
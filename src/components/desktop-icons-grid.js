@@ -1,7 +1,10 @@
 import { LitElement, html, css } from 'lit';
 import { ContextConsumer } from '@lit/context';
 import { appStateContext } from '../context/app-state.js';
-import { APP_REGISTRY } from '../utils/app-registry.js';
+import { getApps, subscribeToApps } from '../utils/app-registry.js';
+import { getFreeIconPosition, reflowIconPositions } from '../utils/icon-layout.js';
+import { ICON_SPACING } from '../utils/constants.js';
+import { getAvailableDesktopBounds } from '../utils/window-manager.js';
 import './desktop-icon.js';
 
 /**
@@ -10,7 +13,9 @@ import './desktop-icon.js';
  */
 export class DesktopIconsGrid extends LitElement {
   static properties = {
+    _apps: { state: true },
     _iconPositions: { state: true },
+    _desktopSize: { state: true },
     _selectedIcons: { state: true }
   };
 
@@ -45,15 +50,41 @@ export class DesktopIconsGrid extends LitElement {
 
   constructor() {
     super();
+    this._apps = getApps();
     this._iconPositions = new Map();
+    this._desktopSize = null;
     this._selectedIcons = new Set();
+    this._unsubscribe = null;
+    this._unsubscribeDesktopSize = null;
+    this._unsubscribeApps = null;
 
     // Consume context
     new ContextConsumer(
       this,
       { context: appStateContext, callback: (value) => {
         this.appState = value;
-        this._initializeIconPositions();
+        // Wait for saved positions before falling back to the default grid
+        value?.ready.then(() => this._initializeIconPositions());
+
+        // Pick up icon positions changed outside the grid (e.g. undo/redo)
+        if (this._unsubscribe) {
+          this._unsubscribe();
+        }
+        this._unsubscribe = value?.subscribe(state => state.iconPositions, (iconPositions) => {
+          if (iconPositions !== this._syncedIconPositions) {
+            this._syncedIconPositions = iconPositions;
+            this._iconPositions = new Map(iconPositions);
+          }
+        });
+
+        // Icons that don't fit the desktop are shown elsewhere, not moved
+        if (this._unsubscribeDesktopSize) {
+          this._unsubscribeDesktopSize();
+        }
+        this._desktopSize = value?.getState().desktopSize || null;
+        this._unsubscribeDesktopSize = value?.subscribe(state => state.desktopSize, (desktopSize) => {
+          this._desktopSize = desktopSize;
+        });
       }}
     );
   }
@@ -62,11 +93,31 @@ export class DesktopIconsGrid extends LitElement {
     super.connectedCallback();
     // Listen for desktop clicks to deselect
     this.addEventListener('click', this._handleDesktopClick);
+
+    // Show icons for apps registered (or removed) at runtime
+    this._apps = getApps();
+    this._unsubscribeApps = subscribeToApps((apps) => {
+      this._apps = apps;
+      if (this._positionsInitialized) {
+        this._placeNewIcons();
+      }
+    });
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     this.removeEventListener('click', this._handleDesktopClick);
+    if (this._unsubscribe) {
+      this._unsubscribe();
+    }
+    if (this._unsubscribeDesktopSize) {
+      this._unsubscribeDesktopSize();
+      this._unsubscribeDesktopSize = null;
+    }
+    if (this._unsubscribeApps) {
+      this._unsubscribeApps();
+      this._unsubscribeApps = null;
+    }
   }
 
   /**
@@ -76,13 +127,33 @@ export class DesktopIconsGrid extends LitElement {
     if (!this.appState) return;
 
     const savedPositions = this.appState.getIconPositions();
+    this._syncedIconPositions = savedPositions;
 
     if (savedPositions && savedPositions.size > 0) {
       this._iconPositions = new Map(savedPositions);
+      this._placeNewIcons();
     } else {
       // Create default grid positions
       this._createDefaultPositions();
     }
+    this._positionsInitialized = true;
+  }
+
+  /**
+   * Give apps without a saved position the first free grid cell
+   */
+  _placeNewIcons() {
+    const missing = this._apps.filter(app => !this._iconPositions.has(app.id));
+    if (missing.length === 0 || !this.appState) return;
+
+    const bounds = getAvailableDesktopBounds(this.appState.getState().desktopSize);
+    const positions = new Map(this._iconPositions);
+    missing.forEach(app => {
+      positions.set(app.id, getFreeIconPosition(reflowIconPositions(positions, bounds), bounds));
+    });
+
+    this._iconPositions = positions;
+    this.appState.setIconPositions(positions, { recordHistory: false });
   }
 
   /**
@@ -94,7 +165,7 @@ export class DesktopIconsGrid extends LitElement {
     const startY = 20;
     const columns = 8;
 
-    APP_REGISTRY.forEach((app, index) => {
+    this._apps.forEach((app, index) => {
       const col = index % columns;
       const row = Math.floor(index / columns);
 
@@ -106,7 +177,7 @@ export class DesktopIconsGrid extends LitElement {
 
     // Save to state
     if (this.appState) {
-      this.appState.setIconPositions(this._iconPositions);
+      this.appState.setIconPositions(this._iconPositions, { recordHistory: false });
     }
 
     this.requestUpdate();
@@ -142,28 +213,11 @@ export class DesktopIconsGrid extends LitElement {
    * Handle icon launch (double-click)
    */
   _handleIconLaunch(e) {
-    const { appId, appData } = e.detail;
+    const { appId, newInstance } = e.detail;
 
     if (this.appState) {
-      // Check if a window with this component is already open
-      const existingWindowData = this.appState.findWindowByComponent(appData.component);
-
-      if (existingWindowData) {
-        // If window exists, restore it if minimized and focus it
-        if (existingWindowData.isMinimized) {
-          this.appState.restoreWindow(existingWindowData.id);
-        } else {
-          this.appState.focusWindow(existingWindowData.id);
-        }
-      } else {
-        // Otherwise, open a new window
-        this.appState.openWindow({
-          title: appData.name,
-          component: appData.component,
-          size: appData.defaultSize,
-          data: appData.data
-        });
-      }
+      // The app's launch policy decides whether an open window is reused
+      this.appState.launchApp(appId, { newInstance });
     }
 
     // Clear selection after launch
@@ -177,8 +231,9 @@ export class DesktopIconsGrid extends LitElement {
   _handleIconDrag(e) {
     const { appId, position } = e.detail;
 
-    // Update position temporarily during drag
-    this._iconPositions.set(appId, position);
+    // Update position temporarily during drag, kept on the desktop so the
+    // icon isn't laid out elsewhere while it is held
+    this._iconPositions.set(appId, this._constrainPosition(position));
     this.requestUpdate();
   }
 
@@ -202,14 +257,23 @@ export class DesktopIconsGrid extends LitElement {
     this.requestUpdate();
   }
 
+  /**
+   * Icon area of the desktop, below the top bar and above the app bar
+   * @returns {Object} {width, height}
+   */
+  _getIconBounds() {
+    return getAvailableDesktopBounds(this._desktopSize || { width: window.innerWidth, height: window.innerHeight });
+  }
+
   /**
    * Constrain position to keep icon visible
    */
   _constrainPosition(position) {
+    const bounds = this._getIconBounds();
     const minX = 0;
     const minY = 0;
-    const maxX = window.innerWidth - 100; // Icon width
-    const maxY = window.innerHeight - 150; // Icon height + bars
+    const maxX = Math.max(0, bounds.width - ICON_SPACING);
+    const maxY = Math.max(0, bounds.height - ICON_SPACING);
 
     return {
       x: Math.max(minX, Math.min(position.x, maxX)),
@@ -229,10 +293,12 @@ export class DesktopIconsGrid extends LitElement {
   }
 
   render() {
+    const positions = reflowIconPositions(this._iconPositions, this._getIconBounds());
+
     return html`
       <div class="icons-container">
-        ${APP_REGISTRY.map(app => {
-          const position = this._iconPositions.get(app.id) || { x: 0, y: 0 };
+        ${this._apps.map(app => {
+          const position = positions.get(app.id) || { x: 0, y: 0 };
           const selected = this._selectedIcons.has(app.id);
 
           return html`
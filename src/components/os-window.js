@@ -1,19 +1,40 @@
 import { LitElement, html, css } from 'lit';
+import { html as staticHtml, unsafeStatic } from 'lit/static-html.js';
 import { ContextConsumer } from '@lit/context';
 import { appStateContext } from '../context/app-state.js';
+import { selectWindow } from '../utils/selectors.js';
+import {
+  getAppByComponent,
+  getAppWindowOptions,
+  subscribeToApps,
+  isAppLoaded,
+  loadApp
+} from '../utils/app-registry.js';
 import {
   constrainPosition,
   snapToEdge,
   calculateResize,
   constrainSize,
-  getAvailableDesktopBounds
+  getAvailableDesktopBounds,
+  getSnapZoneAtPoint,
+  getSnapZoneBounds,
+  isThirdsLayoutAvailable,
+  getSnapNeighbours,
+  snapToWindows,
+  snapResizeToWindows,
+  getWindowStackIndex
 } from '../utils/window-manager.js';
 import {
   TOPBAR_HEIGHT,
   APPBAR_HEIGHT,
-  WINDOW_MIN_WIDTH,
-  WINDOW_MIN_HEIGHT
+  SNAP_ZONES,
+  WINDOW_UNMAXIMIZE_DRAG_THRESHOLD,
+  KEYBOARD_MOVE_STEP,
+  KEYBOARD_RESIZE_STEP,
+  THROTTLE_DRAG_COMMIT,
+  APP_CLOSE_TIMEOUT
 } from '../utils/constants.js';
+import { callLifecycleHook, canAppClose } from '../utils/app-lifecycle.js';
 import {
   getMinimizeKeyframes,
   getRestoreKeyframes,
@@ -28,19 +49,23 @@ import './window-titlebar.js';
  */
 export class OSWindow extends LitElement {
   static properties = {
+    windowId: { type: String },
     windowData: { type: Object },
     _isDragging: { state: true },
     _isResizing: { state: true },
     _dragStart: { state: true },
     _resizeHandle: { state: true },
-    _isAnimating: { state: true }
+    _isAnimating: { state: true },
+    _isKeyboardMode: { state: true },
+    _announcement: { state: true },
+    _appLoad: { state: true },
+    _isNotResponding: { state: true }
   };
 
   static styles = css`
     :host {
       display: block;
       position: absolute;
-      will-change: transform;
     }
 
     :host([hidden]) {
@@ -75,15 +100,117 @@ export class OSWindow extends LitElement {
       border-radius: 0;
     }
 
+    /* Rolled up to the titlebar; overflow stays visible for the titlebar menu */
+    .window.shaded {
+      overflow: visible;
+    }
+
+    .window.shaded .window-content {
+      display: none;
+    }
+
     .window-content {
       flex: 1;
       overflow: auto;
       position: relative;
     }
 
+    /* Shown while the app's module loads */
+    .app-skeleton {
+      display: flex;
+      flex-direction: column;
+      gap: var(--spacing-md);
+      padding: var(--spacing-lg);
+    }
+
+    .skeleton-line {
+      height: 14px;
+      border-radius: var(--radius-sm);
+      background: var(--color-surface-hover);
+      animation: skeleton-pulse 1.2s ease-in-out infinite;
+    }
+
+    .skeleton-line.heading {
+      width: 40%;
+      height: 22px;
+    }
+
+    .skeleton-line.short {
+      width: 60%;
+    }
+
+    @keyframes skeleton-pulse {
+      0%, 100% { opacity: 1; }
+      50% { opacity: 0.4; }
+    }
+
+    .app-error {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      gap: var(--spacing-md);
+      height: 100%;
+      padding: var(--spacing-lg);
+      text-align: center;
+      color: var(--color-text-secondary);
+    }
+
+    .app-error button {
+      padding: var(--spacing-xs) var(--spacing-md);
+      font-size: var(--font-size-sm);
+      color: var(--color-text-primary);
+      background: var(--color-surface);
+      border: 1px solid var(--color-border);
+      border-radius: var(--radius-sm);
+      cursor: pointer;
+    }
+
+    .app-error button:hover {
+      background: var(--color-surface-hover);
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+      .skeleton-line {
+        animation: none;
+      }
+    }
+
+    /* Shown when the app takes too long to answer a close request */
+    .not-responding {
+      display: flex;
+      align-items: center;
+      gap: var(--spacing-sm);
+      padding: var(--spacing-sm) var(--spacing-md);
+      font-size: var(--font-size-sm);
+      background: var(--color-surface);
+      border-bottom: 1px solid var(--color-border);
+    }
+
+    .not-responding span {
+      flex: 1;
+    }
+
+    .not-responding button {
+      padding: var(--spacing-xs) var(--spacing-sm);
+      font-size: var(--font-size-sm);
+      color: var(--color-text-primary);
+      background: var(--color-surface);
+      border: 1px solid var(--color-border);
+      border-radius: var(--radius-sm);
+      cursor: pointer;
+    }
+
+    .not-responding button.force {
+      color: #fff;
+      background: var(--color-error);
+      border-color: var(--color-error);
+    }
+
     .resize-handle {
       position: absolute;
       z-index: 10;
+      touch-action: none;
     }
 
     .resize-handle.n {
@@ -150,6 +277,25 @@ export class OSWindow extends LitElement {
       cursor: sw-resize;
     }
 
+    .window.keyboard-mode {
+      box-shadow: var(--shadow-xl), 0 0 0 2px var(--color-primary);
+      outline: 2px dashed var(--color-primary);
+      outline-offset: 4px;
+    }
+
+    /* Screen reader announcements */
+    .sr-only {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      padding: 0;
+      margin: -1px;
+      overflow: hidden;
+      clip: rect(0, 0, 0, 0);
+      white-space: nowrap;
+      border-width: 0;
+    }
+
     /* Hide resize handles when maximized */
     .window.maximized .resize-handle {
       display: none;
@@ -172,18 +318,196 @@ export class OSWindow extends LitElement {
     this._isAnimating = false;
     this._currentAnimation = null;
     this._previousMinimizedState = false;
+    this._snapZone = null;
+    this._activePointerId = null;
+    this._pointerChangedState = false;
+    this._pointerStartGeometry = null;
+    this._liveGeometry = null;
+    this._frameRequest = null;
+    this._lastCommitTime = 0;
+    this._isKeyboardMode = false;
+    this._keyboardModeChanged = false;
+    this._keyboardModeStart = null;
+    this._announcement = '';
+    this._appLoad = null;
+    this._runningApp = null;
+    this._isNotResponding = false;
+    this._launchedElement = null;
+    this._removeCloseGuard = null;
+    this._unsubscribe = null;
 
     // Consume context
     new ContextConsumer(
       this,
       { context: appStateContext, callback: (value) => {
         this.appState = value;
+        this._subscribeToWindow();
       }}
     );
   }
 
+  /**
+   * Follow this window's own record so only this window updates when it changes
+   */
+  _subscribeToWindow() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+    if (this._removeCloseGuard) {
+      this._removeCloseGuard();
+      this._removeCloseGuard = null;
+    }
+    if (!this.appState || !this.windowId) return;
+
+    this._removeCloseGuard = this.appState.setCloseGuard(this.windowId, () => this._confirmClose());
+
+    this._unsubscribe = this.appState.subscribe(selectWindow(this.windowId), (windowData) => {
+      // The record disappears just before the element is removed
+      if (windowData) {
+        this.windowData = windowData;
+      }
+    });
+  }
+
+  willUpdate(changedProperties) {
+    if (changedProperties.has('windowId')) {
+      this._subscribeToWindow();
+    }
+    this._ensureAppLoaded();
+  }
+
+  /**
+   * The window's app definition
+   * An app that is unregistered while this window runs it keeps its
+   * definition here, so the window goes on rendering the app until closed
+   * @returns {AppDefinition|null}
+   */
+  _getApp() {
+    const component = this.windowData?.component;
+    const app = getAppByComponent(component);
+    if (app) return app;
+    return this._runningApp?.component === component ? this._runningApp : null;
+  }
+
+  /**
+   * Start loading the app's module the first time its window renders
+   * Runs on every update so apps registered later get loaded too
+   */
+  _ensureAppLoaded() {
+    const app = this._getApp();
+    if (!app || isAppLoaded(app) || this._appLoad?.component === app.component) return;
+
+    this._loadAppModule(app);
+  }
+
+  /**
+   * @param {AppDefinition} app
+   */
+  async _loadAppModule(app) {
+    this._appLoad = { component: app.component, status: 'loading' };
+    try {
+      await loadApp(app);
+      this._appLoad = { component: app.component, status: 'ready' };
+    } catch (error) {
+      console.error(`Failed to load ${app.name}:`, error);
+      this._appLoad = { component: app.component, status: 'failed' };
+    }
+  }
+
+  /**
+   * The rendered app component, once its module has loaded
+   * @returns {Element|null}
+   */
+  _getAppElement() {
+    const app = this._getApp();
+    if (!app || !isAppLoaded(app)) return null;
+    return this.renderRoot.querySelector(app.component);
+  }
+
+  /**
+   * Tell the app what happened to its window since the last update
+   * Restoring comes before focusing and minimizing before blurring
+   * @param {Object} [oldData] - Window record before this update
+   */
+  _syncLifecycle(oldData) {
+    const element = this._getAppElement();
+    const windowData = this.windowData;
+    if (!element || !windowData) return;
+
+    if (element !== this._launchedElement) {
+      this._launchedElement = element;
+      callLifecycleHook(element, 'onLaunch', { ...windowData.data });
+      if (windowData.isFocused && !windowData.isMinimized) {
+        callLifecycleHook(element, 'onFocus');
+      }
+      return;
+    }
+    if (!oldData) return;
+
+    if (oldData.isMinimized !== windowData.isMinimized) {
+      callLifecycleHook(element, windowData.isMinimized ? 'onMinimize' : 'onRestore');
+    }
+    if (oldData.isFocused !== windowData.isFocused) {
+      callLifecycleHook(element, windowData.isFocused ? 'onFocus' : 'onBlur');
+    }
+    if (oldData.size.width !== windowData.size.width || oldData.size.height !== windowData.size.height) {
+      callLifecycleHook(element, 'onResize', { ...windowData.size });
+    }
+  }
+
+  /**
+   * Close guard: let the app veto or prompt before its window closes
+   * Brings the window forward so any prompt is visible, and offers a force
+   * close if the app doesn't answer in time
+   * @returns {Promise<boolean>}
+   */
+  async _confirmClose() {
+    const element = this._getAppElement();
+    if (typeof element?.beforeClose !== 'function') return true;
+
+    if (!this.windowData.isFocused || this.windowData.isMinimized) {
+      this.appState.focusWindow(this.windowId);
+    }
+
+    const timer = setTimeout(() => {
+      this._isNotResponding = true;
+    }, APP_CLOSE_TIMEOUT);
+    try {
+      return await canAppClose(element);
+    } finally {
+      clearTimeout(timer);
+      this._isNotResponding = false;
+    }
+  }
+
+  _handleForceClose() {
+    this._isNotResponding = false;
+    this.appState?.forceCloseWindow(this.windowId);
+  }
+
+  _renderNotResponding() {
+    const app = this._getApp();
+
+    return html`
+      <div class="not-responding" role="alert">
+        <span>${app?.name || this.windowData.title} is not responding.</span>
+        <button @click=${() => { this._isNotResponding = false; }}>Wait</button>
+        <button class="force" @click=${this._handleForceClose}>Force close</button>
+      </div>
+    `;
+  }
+
+  _handleRetryLoad() {
+    const app = this._getApp();
+    if (app) {
+      this._loadAppModule(app);
+    }
+  }
+
   updated(changedProperties) {
     super.updated(changedProperties);
+    this._syncLifecycle(changedProperties.get('windowData'));
 
     if (changedProperties.has('windowData')) {
       const oldData = changedProperties.get('windowData');
@@ -192,6 +516,7 @@ export class OSWindow extends LitElement {
       // Check if this is a newly opened window
       if (!oldData && newData?._isNewlyOpened) {
         // Animate in for newly opened windows
+        this._updatePosition();
         this._animateRestore();
         // Clear the newly opened flag
         if (newData._isNewlyOpened) {
@@ -200,6 +525,12 @@ export class OSWindow extends LitElement {
         return;
       }
 
+      // Windows restored from storage render in place without animating
+      if (!oldData) {
+        this._updatePosition();
+        return;
+      }
+
       // Check if minimize state changed
       const wasMinimized = oldData?.isMinimized;
       const isNowMinimized = newData?.isMinimized;
@@ -209,6 +540,7 @@ export class OSWindow extends LitElement {
         if (isNowMinimized) {
           this._animateMinimize();
         } else if (wasMinimized && !isNowMinimized) {
+          this._updatePosition();
           this._animateRestore();
         }
       } else {
@@ -221,13 +553,13 @@ export class OSWindow extends LitElement {
   _updatePosition() {
     if (!this.windowData) return;
 
-    const { position, size, zIndex } = this.windowData;
+    const { position, size } = this.windowData;
 
     this.style.left = `${position.x}px`;
     this.style.top = `${position.y}px`;
     this.style.width = `${size.width}px`;
-    this.style.height = `${size.height}px`;
-    this.style.zIndex = zIndex || 100;
+    this.style.height = this._getStyleHeight(size);
+    this.style.zIndex = getWindowStackIndex(this.windowData);
 
     // Hide if minimized
     if (this.windowData.isMinimized) {
@@ -235,6 +567,103 @@ export class OSWindow extends LitElement {
     } else {
       this.removeAttribute('hidden');
     }
+
+    // Keep an in-progress drag/resize where the pointer put it
+    this._applyLiveGeometry();
+  }
+
+  /**
+   * Set where the window should appear during a drag or resize
+   * The element follows on the next animation frame; AppState only hears
+   * about it every THROTTLE_DRAG_COMMIT ms and when the pointer is released
+   * @param {Object} geometry - {position, size}
+   */
+  _setLiveGeometry(geometry) {
+    this._liveGeometry = geometry;
+
+    if (this._frameRequest === null) {
+      this._frameRequest = requestAnimationFrame(() => {
+        this._frameRequest = null;
+        this._applyLiveGeometry();
+
+        if (performance.now() - this._lastCommitTime >= THROTTLE_DRAG_COMMIT) {
+          this._commitLiveGeometry();
+        }
+      });
+    }
+  }
+
+  /**
+   * Show the live geometry as a transform from the committed left/top,
+   * so moving never touches layout properties
+   */
+  _applyLiveGeometry() {
+    if (!this._liveGeometry || !this.windowData) {
+      this.style.transform = '';
+      return;
+    }
+
+    const { position, size } = this._liveGeometry;
+    const committed = this.windowData.position;
+
+    this.style.transform = `translate(${position.x - committed.x}px, ${position.y - committed.y}px)`;
+    this.style.width = `${size.width}px`;
+    this.style.height = this._getStyleHeight(size);
+  }
+
+  /**
+   * Height for the host element; shaded windows shrink to their titlebar
+   * @param {Object} size - {width, height}
+   * @returns {string}
+   */
+  _getStyleHeight(size) {
+    return this.windowData?.isShaded ? 'auto' : `${size.height}px`;
+  }
+
+  /**
+   * Write the live geometry to AppState if it differs from what is stored
+   */
+  _commitLiveGeometry() {
+    this._lastCommitTime = performance.now();
+    if (!this._liveGeometry || !this.appState) return;
+
+    const { id, position, size } = this.appState.getWindow(this.windowData.id) || {};
+    if (!id) return;
+
+    const live = this._liveGeometry;
+    if (live.position.x !== position.x || live.position.y !== position.y) {
+      this.appState.updateWindowPosition(id, live.position, { recordHistory: false });
+      this._pointerChangedState = true;
+    }
+    if (live.size.width !== size.width || live.size.height !== size.height) {
+      this.appState.updateWindowSize(id, live.size, { recordHistory: false });
+      this._pointerChangedState = true;
+    }
+  }
+
+  /**
+   * Commit (or drop) the live geometry at the end of a drag/resize and
+   * pin the element there until AppState's update arrives
+   * @param {boolean} commit - Write it to AppState
+   */
+  _finishLiveGeometry(commit) {
+    if (this._frameRequest !== null) {
+      cancelAnimationFrame(this._frameRequest);
+      this._frameRequest = null;
+    }
+
+    if (commit) {
+      this._commitLiveGeometry();
+    }
+
+    const { position, size } = (commit && this._liveGeometry) || this.windowData;
+    this._liveGeometry = null;
+    this.style.willChange = '';
+    this.style.transform = '';
+    this.style.left = `${position.x}px`;
+    this.style.top = `${position.y}px`;
+    this.style.width = `${size.width}px`;
+    this.style.height = this._getStyleHeight(size);
   }
 
   /**
@@ -315,77 +744,241 @@ export class OSWindow extends LitElement {
     }
   }
 
+  /**
+   * Route one pointer's events to this window until it is released
+   * Further pointers are ignored while it is held
+   * @param {PointerEvent} e - The pointerdown event
+   */
+  _capturePointer(e) {
+    this._activePointerId = e.pointerId;
+    this._pointerChangedState = false;
+    // The gesture is recorded as one step when it ends, or undone on cancel
+    this._pointerStartGeometry = this.appState?.getWindowGeometry(this.windowData.id) || null;
+    this.setPointerCapture(e.pointerId);
+
+    this.addEventListener('pointermove', this._boundHandlePointerMove);
+    this.addEventListener('pointerup', this._boundHandlePointerUp);
+    this.addEventListener('pointercancel', this._boundHandlePointerCancel);
+  }
+
+  _releasePointer() {
+    if (this._activePointerId === null) return;
+
+    if (this.hasPointerCapture(this._activePointerId)) {
+      this.releasePointerCapture(this._activePointerId);
+    }
+    this._activePointerId = null;
+
+    this.removeEventListener('pointermove', this._boundHandlePointerMove);
+    this.removeEventListener('pointerup', this._boundHandlePointerUp);
+    this.removeEventListener('pointercancel', this._boundHandlePointerCancel);
+  }
+
+  _handlePointerMove(e) {
+    if (e.pointerId !== this._activePointerId) return;
+
+    if (this._isDragging) {
+      this._handleDrag(e);
+    } else if (this._isResizing) {
+      this._handleResize(e);
+    }
+  }
+
+  _handlePointerUp(e) {
+    if (e.pointerId !== this._activePointerId) return;
+
+    if (this._isDragging) {
+      this._handleDragEnd();
+    } else if (this._isResizing) {
+      this._handleResizeEnd();
+    }
+  }
+
+  /**
+   * The browser took the pointer away (e.g. a touch turned into a scroll):
+   * end the drag/resize and put the window back where it started
+   */
+  _handlePointerCancel(e) {
+    if (e.pointerId !== this._activePointerId) return;
+
+    this._finishLiveGeometry(false);
+    const changed = this._pointerChangedState;
+    const start = this._pointerStartGeometry;
+    // Nothing to record for a gesture that is being taken back
+    this._pointerChangedState = false;
+    if (this._isDragging) {
+      this._setSnapZone(null);
+      this._handleDragEnd();
+    } else if (this._isResizing) {
+      this._handleResizeEnd();
+    }
+
+    if (changed && start) {
+      this.appState?.restoreWindowGeometry(this.windowData.id, start);
+    }
+  }
+
+  /**
+   * Record the finished drag/resize as a single undo step
+   * @param {string} label - Undo step label
+   */
+  _recordPointerGesture(label) {
+    if (this._pointerChangedState && this._pointerStartGeometry) {
+      this.appState?.recordWindowGeometryChange(this.windowData.id, this._pointerStartGeometry, label);
+    }
+    this._pointerChangedState = false;
+    this._pointerStartGeometry = null;
+  }
+
   _handleDragStart(e) {
+    // Extract the original pointer event from the titlebar's custom event
+    const originalEvent = e.detail?.originalEvent || e;
+    if (originalEvent.button !== 0 || this._activePointerId !== null) return;
 
     this._handleFocus();
     this._isDragging = true;
-
-    // Extract the original event from custom event
-    const originalEvent = e.detail?.originalEvent || e;
-    const clientX = originalEvent.clientX || originalEvent.touches?.[0]?.clientX;
-    const clientY = originalEvent.clientY || originalEvent.touches?.[0]?.clientY;
+    this._capturePointer(originalEvent);
+    this._lastCommitTime = performance.now();
+    this.style.willChange = 'transform';
 
     this._dragStart = {
-      x: clientX,
-      y: clientY,
+      x: originalEvent.clientX,
+      y: originalEvent.clientY,
       windowX: this.windowData.position.x,
-      windowY: this.windowData.position.y
+      windowY: this.windowData.position.y,
+      // Maximized windows restore once the pointer actually moves, so a
+      // titlebar double-click still toggles maximize
+      pendingUnmaximize: Boolean(this.windowData.isMaximized)
     };
 
-    document.addEventListener('mousemove', this._boundHandleDrag);
-    document.addEventListener('mouseup', this._boundHandleDragEnd);
-    document.addEventListener('touchmove', this._boundHandleDrag);
-    document.addEventListener('touchend', this._boundHandleDragEnd);
-
-    originalEvent.preventDefault?.();
+    originalEvent.preventDefault();
   }
 
   _handleDrag(e) {
     if (!this._isDragging || !this.appState) return;
 
-    const clientX = e.clientX || e.touches?.[0].clientX;
-    const clientY = e.clientY || e.touches?.[0].clientY;
+    const { clientX, clientY } = e;
 
     const deltaX = clientX - this._dragStart.x;
     const deltaY = clientY - this._dragStart.y;
 
+    if (this._dragStart.pendingUnmaximize) {
+      if (Math.hypot(deltaX, deltaY) < WINDOW_UNMAXIMIZE_DRAG_THRESHOLD) return;
+      this._unmaximizeUnderCursor();
+    }
+
     let newX = this._dragStart.windowX + deltaX;
     let newY = this._dragStart.windowY + deltaY;
 
+    // Read the size from state; windowData lags a microtask behind an unmaximize
+    const { size } = this.appState.getWindow(this.windowData.id);
+
     // Constrain to desktop bounds
     const desktopSize = this.appState.getState().desktopSize;
     const availableBounds = getAvailableDesktopBounds(desktopSize);
 
     const constrained = constrainPosition(
       { x: newX, y: newY },
-      this.windowData.size,
+      size,
       availableBounds
     );
 
-    // Optional: Snap to edges
-    const snapped = snapToEdge(
-      constrained,
-      this.windowData.size,
-      availableBounds
-    );
+    // Stick to desktop edges and neighbouring windows unless Alt/Option is held
+    let snapped = constrained;
+    if (!e.altKey) {
+      snapped = snapToEdge(constrained, size, availableBounds);
+      snapped = constrainPosition(
+        snapToWindows(snapped, size, this._getSnapNeighbours({ position: snapped, size })),
+        size,
+        availableBounds
+      );
+    }
+
+    this._setLiveGeometry({ position: snapped, size });
+
+    // Pointer relative to the desktop area below the top bar
+    const { resizable, maximizable } = getAppWindowOptions(this.windowData.component);
+    let zone = resizable ? getSnapZoneAtPoint(
+      { x: clientX, y: clientY - TOPBAR_HEIGHT },
+      availableBounds,
+      { thirds: isThirdsLayoutAvailable(availableBounds, this.appState.getPreferences().snapThirds) }
+    ) : null;
+    if (zone === SNAP_ZONES.MAXIMIZE && !maximizable) {
+      zone = null;
+    }
+    this._setSnapZone(zone, availableBounds);
+  }
+
+  /**
+   * Visible windows close enough to this one to stick to
+   * @param {Object} rect - {position, size} this window is moving to
+   * @returns {Array}
+   */
+  _getSnapNeighbours(rect) {
+    return getSnapNeighbours(rect, this.appState.getState().windows, this.windowData.id);
+  }
 
-    this.appState.updateWindowPosition(this.windowData.id, snapped);
+  /**
+   * Track the snap zone under the pointer and ask the desktop to preview it
+   * @param {string|null} zone - One of SNAP_ZONES, or null
+   * @param {Object} bounds - Available desktop bounds
+   */
+  _setSnapZone(zone, bounds) {
+    if (zone === this._snapZone) return;
+    this._snapZone = zone;
+
+    this.dispatchEvent(new CustomEvent('snap-preview', {
+      detail: zone ? {
+        ...getSnapZoneBounds(zone, bounds),
+        zIndex: getWindowStackIndex(this.windowData)
+      } : null,
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Restore a maximized window at the start of a drag, keeping the same
+   * relative point of the titlebar under the cursor
+   */
+  _unmaximizeUnderCursor() {
+    const { id, position, size, restoreGeometry } = this.windowData;
+    const restoredWidth = restoreGeometry?.size.width ?? size.width;
+
+    const grabOffset = this._dragStart.x - this.getBoundingClientRect().left;
+    const x = Math.round(position.x + grabOffset - (grabOffset / size.width) * restoredWidth);
+    const y = position.y;
+
+    this.appState.unmaximizeWindow(id, { x, y }, { recordHistory: false });
+    this._pointerChangedState = true;
+    this._dragStart.windowX = x;
+    this._dragStart.windowY = y;
+    this._dragStart.pendingUnmaximize = false;
   }
 
   _handleDragEnd() {
+    this._finishLiveGeometry(true);
+    const snapZone = this._snapZone;
+    if (snapZone && this.appState) {
+      this.appState.snapWindow(this.windowData.id, snapZone, { recordHistory: false });
+      this._pointerChangedState = true;
+    }
+    this._setSnapZone(null);
+    this._recordPointerGesture(snapZone ? 'Snap window' : 'Move window');
+
     this._isDragging = false;
     this._dragStart = null;
-
-    document.removeEventListener('mousemove', this._boundHandleDrag);
-    document.removeEventListener('mouseup', this._boundHandleDragEnd);
-    document.removeEventListener('touchmove', this._boundHandleDrag);
-    document.removeEventListener('touchend', this._boundHandleDragEnd);
+    this._releasePointer();
   }
 
   _handleResizeStart(e, handle) {
+    if (e.button !== 0 || this._activePointerId !== null) return;
 
     this._handleFocus();
     this._isResizing = true;
+    this._capturePointer(e);
+    this._lastCommitTime = performance.now();
+    this.style.willChange = 'transform';
     this._resizeHandle = handle;
     this._dragStart = {
       x: e.clientX,
@@ -396,9 +989,6 @@ export class OSWindow extends LitElement {
       size: { ...this.windowData.size }
     };
 
-    document.addEventListener('mousemove', this._boundHandleResize);
-    document.addEventListener('mouseup', this._boundHandleResizeEnd);
-
     e.preventDefault();
     e.stopPropagation();
   }
@@ -407,52 +997,257 @@ export class OSWindow extends LitElement {
     if (!this._isResizing || !this.appState) return;
 
     const currentPos = { x: e.clientX, y: e.clientY };
+    const availableBounds = getAvailableDesktopBounds(this.appState.getState().desktopSize);
+    const { minSize, maxSize: appMaxSize, aspectRatio } = getAppWindowOptions(this.windowData.component);
+    const maxSize = {
+      width: Math.min(appMaxSize.width, availableBounds.width),
+      height: Math.min(appMaxSize.height, availableBounds.height)
+    };
 
-    const { position, size } = calculateResize(
+    let { position, size } = calculateResize(
       this._resizeHandle,
       this._dragStart,
       currentPos,
       this._originalWindow,
-      { width: WINDOW_MIN_WIDTH, height: WINDOW_MIN_HEIGHT }
+      minSize,
+      maxSize,
+      aspectRatio
     );
 
-    // Constrain to desktop bounds
-    const desktopSize = this.appState.getState().desktopSize;
-    const availableBounds = getAvailableDesktopBounds(desktopSize);
+    // Stick the moving edges to neighbouring windows unless Alt/Option is held.
+    // Edge snapping would break a locked aspect ratio, so those windows skip it
+    if (!e.altKey && !aspectRatio) {
+      ({ position, size } = snapResizeToWindows(
+        this._resizeHandle,
+        { position, size },
+        this._getSnapNeighbours({ position, size }),
+        minSize
+      ));
+    }
 
-    const constrainedSize = constrainSize(
-      size,
-      { width: WINDOW_MIN_WIDTH, height: WINDOW_MIN_HEIGHT },
-      availableBounds
-    );
+    // Constrain to desktop bounds
+    const constrainedSize = constrainSize(size, minSize, maxSize, aspectRatio);
     const constrainedPos = constrainPosition(position, constrainedSize, availableBounds);
 
-    this.appState.updateWindowPosition(this.windowData.id, constrainedPos);
-    this.appState.updateWindowSize(this.windowData.id, constrainedSize);
+    this._setLiveGeometry({ position: constrainedPos, size: constrainedSize });
   }
 
   _handleResizeEnd() {
+    this._finishLiveGeometry(true);
     this._isResizing = false;
     this._resizeHandle = null;
     this._originalWindow = null;
+    this._recordPointerGesture('Resize window');
+    this._releasePointer();
+  }
 
-    document.removeEventListener('mousemove', this._boundHandleResize);
-    document.removeEventListener('mouseup', this._boundHandleResizeEnd);
+  /**
+   * Enter keyboard move/resize mode
+   * Arrow keys move the window, Shift + arrows resize it, Enter confirms
+   * and Escape reverts to the geometry it had when the mode started
+   */
+  enterKeyboardMode() {
+    if (!this.windowData || !this.appState || this._isKeyboardMode) return;
+
+    this._handleFocus();
+
+    // Steps aren't recorded; Enter records them as one undo step and
+    // Escape puts this geometry back
+    const { id, isMaximized, restoreGeometry } = this.appState.getWindow(this.windowData.id);
+    this._keyboardModeStart = this.appState.getWindowGeometry(id);
+    this._keyboardModeChanged = false;
+    if (isMaximized && restoreGeometry) {
+      this.appState.restoreWindowGeometry(id, {
+        position: restoreGeometry.position,
+        size: restoreGeometry.size,
+        isMaximized: false,
+        restoreGeometry: null
+      });
+      this._keyboardModeChanged = true;
+    }
+
+    this._isKeyboardMode = true;
+    const { resizable } = getAppWindowOptions(this.windowData.component);
+    this._announce(
+      `Moving ${this.windowData.title}. Arrow keys move` +
+      `${resizable ? ', Shift and arrow keys resize' : ''}. ` +
+      'Press Enter to confirm or Escape to cancel.'
+    );
+    document.addEventListener('keydown', this._boundHandleKeyboardMode, true);
+  }
+
+  /**
+   * Leave keyboard move/resize mode
+   * @param {boolean} confirm - Keep the new geometry (Enter) or revert it (Escape)
+   */
+  _exitKeyboardMode(confirm) {
+    if (!this._isKeyboardMode) return;
+
+    document.removeEventListener('keydown', this._boundHandleKeyboardMode, true);
+    this._isKeyboardMode = false;
+
+    const { id } = this.windowData;
+    if (this._keyboardModeChanged) {
+      if (confirm) {
+        this.appState.recordWindowGeometryChange(id, this._keyboardModeStart, 'Move window');
+      } else {
+        this.appState.restoreWindowGeometry(id, this._keyboardModeStart);
+      }
+    }
+    this._keyboardModeStart = null;
+    this._keyboardModeChanged = false;
+
+    const windowData = this.appState.getWindow(this.windowData.id);
+    this._announce(confirm
+      ? `${windowData.title} placed. ${this._describeGeometry(windowData)}`
+      : `Move cancelled. ${this._describeGeometry(windowData)}`);
+  }
+
+  _handleKeyboardMode(e) {
+    // Leave modified arrows to the desktop shortcuts (e.g. snapping)
+    if (e.metaKey || e.ctrlKey || e.altKey) return;
+
+    const directions = {
+      ArrowLeft: { x: -1, y: 0 },
+      ArrowRight: { x: 1, y: 0 },
+      ArrowUp: { x: 0, y: -1 },
+      ArrowDown: { x: 0, y: 1 }
+    };
+
+    if (e.key === 'Enter') {
+      this._exitKeyboardMode(true);
+    } else if (e.key === 'Escape') {
+      this._exitKeyboardMode(false);
+    } else if (directions[e.key]) {
+      if (e.shiftKey) {
+        this._keyboardResize(directions[e.key]);
+      } else {
+        this._keyboardMove(directions[e.key]);
+      }
+    } else {
+      return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  /**
+   * Move the window one step in a direction, kept inside the desktop
+   * @param {Object} direction - {x, y} of -1, 0 or 1
+   */
+  _keyboardMove(direction) {
+    const { id, position, size } = this.appState.getWindow(this.windowData.id);
+    const bounds = getAvailableDesktopBounds(this.appState.getState().desktopSize);
+
+    const newPosition = constrainPosition(
+      {
+        x: position.x + direction.x * KEYBOARD_MOVE_STEP,
+        y: position.y + direction.y * KEYBOARD_MOVE_STEP
+      },
+      size,
+      bounds
+    );
+
+    this.appState.updateWindowPosition(id, newPosition, { recordHistory: false });
+    this._keyboardModeChanged = true;
+    this._announce(this._describeGeometry({ position: newPosition, size }));
+  }
+
+  /**
+   * Grow or shrink the window one step from its bottom-right corner
+   * @param {Object} direction - {x, y}: right/down grow, left/up shrink
+   */
+  _keyboardResize(direction) {
+    const { id, component, position, size } = this.appState.getWindow(this.windowData.id);
+    const { resizable, minSize, maxSize, aspectRatio } = getAppWindowOptions(component);
+    if (!resizable || this.windowData.isShaded) {
+      this._announce(`${this.windowData.title} can't be resized${resizable ? ' while shaded' : ''}.`);
+      return;
+    }
+
+    const bounds = getAvailableDesktopBounds(this.appState.getState().desktopSize);
+    let width = size.width + direction.x * KEYBOARD_RESIZE_STEP;
+    let height = size.height + direction.y * KEYBOARD_RESIZE_STEP;
+
+    // Let the axis being stepped drive the other one
+    if (aspectRatio) {
+      if (direction.x) {
+        height = width / aspectRatio;
+      } else {
+        width = height * aspectRatio;
+      }
+    }
+
+    const newSize = constrainSize(
+      { width, height },
+      minSize,
+      {
+        width: Math.min(maxSize.width, bounds.width - position.x),
+        height: Math.min(maxSize.height, bounds.height - position.y)
+      },
+      aspectRatio
+    );
+
+    this.appState.updateWindowSize(id, newSize, { recordHistory: false });
+    this._keyboardModeChanged = true;
+    this._announce(this._describeGeometry({ position, size: newSize }));
+  }
+
+  /**
+   * Describe a window's geometry for screen readers
+   * @param {Object} geometry - {position, size}
+   * @returns {string}
+   */
+  _describeGeometry({ position, size }) {
+    return `Position ${Math.round(position.x)}, ${Math.round(position.y)}. ` +
+      `Size ${Math.round(size.width)} by ${Math.round(size.height)}.`;
+  }
+
+  /**
+   * Update the live region read by screen readers
+   * @param {string} message
+   */
+  _announce(message) {
+    this._announcement = message;
   }
 
   connectedCallback() {
     super.connectedCallback();
 
     // Bind methods for event listeners
-    this._boundHandleDrag = this._handleDrag.bind(this);
-    this._boundHandleDragEnd = this._handleDragEnd.bind(this);
-    this._boundHandleResize = this._handleResize.bind(this);
-    this._boundHandleResizeEnd = this._handleResizeEnd.bind(this);
+    this._boundHandlePointerMove = this._handlePointerMove.bind(this);
+    this._boundHandlePointerUp = this._handlePointerUp.bind(this);
+    this._boundHandlePointerCancel = this._handlePointerCancel.bind(this);
+    this._boundHandleKeyboardMode = this._handleKeyboardMode.bind(this);
+
+    // Constraints and content come from the registry, which can change at runtime
+    this._unsubscribeApps = subscribeToApps(() => this.requestUpdate());
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+
+    if (this._unsubscribeApps) {
+      this._unsubscribeApps();
+      this._unsubscribeApps = null;
+    }
+
+    if (this._removeCloseGuard) {
+      this._removeCloseGuard();
+      this._removeCloseGuard = null;
+    }
+
+    if (this._isKeyboardMode) {
+      document.removeEventListener('keydown', this._boundHandleKeyboardMode, true);
+      this._isKeyboardMode = false;
+    }
+
     // Clean up event listeners
     if (this._isDragging) {
       this._handleDragEnd();
@@ -460,245 +1255,59 @@ export class OSWindow extends LitElement {
     if (this._isResizing) {
       this._handleResizeEnd();
     }
-
-    // Extra safety: remove all possible event listeners
-    document.removeEventListener('mousemove', this._boundHandleDrag);
-    document.removeEventListener('mouseup', this._boundHandleDragEnd);
-    document.removeEventListener('touchmove', this._boundHandleDrag);
-    document.removeEventListener('touchend', this._boundHandleDragEnd);
-    document.removeEventListener('mousemove', this._boundHandleResize);
-    document.removeEventListener('mouseup', this._boundHandleResizeEnd);
   }
 
+  /**
+   * Render the app's custom element by its registered tag name, giving it
+   * its window id (for appState.updateWindowData) and its window data
+   * Windows of an app that isn't registered (yet) stay empty until it is;
+   * plain windows that name no custom element get the welcome content
+   */
   _renderAppContent() {
-    const component = this.windowData?.component || 'default';
-
-    switch (component) {
-      case 'about-app':
-        return this._renderAboutApp();
-      case 'terminal-app':
-        return this._renderTerminalApp();
-      case 'projects-app':
-        return this._renderProjectsApp();
-      case 'contact-app':
-        return this._renderContactApp();
-      case 'settings-app':
-        return this._renderSettingsApp();
-      case 'files-app':
-        return this._renderFilesApp();
-      default:
-        return this._renderDefaultContent();
-    }
-  }
-
-  _renderAboutApp() {
-    return html`
-      <div style="padding: var(--spacing-lg); display: flex; flex-direction: column; gap: var(--spacing-md); height: 100%; overflow-y: auto;">
-        <div style="display: flex; align-items: center; gap: var(--spacing-lg);">
-          <div style="font-size: 64px;">👤</div>
-          <div>
-            <h2 style="margin: 0;">Ben Walley</h2>
-            <p style="margin: var(--spacing-xs) 0 0 0; color: var(--color-text-secondary);">Full Stack Developer</p>
-          </div>
-        </div>
-
-        <div style="flex: 1; display: flex; flex-direction: column; gap: var(--spacing-md);">
-          <section>
-            <h3 style="margin: 0 0 var(--spacing-sm) 0;">About</h3>
-            <p style="line-height: 1.6;">
-              Welcome to my interactive portfolio! This OS-style interface showcases my work and skills
-              in a unique and engaging way. Feel free to explore the different applications.
-            </p>
-          </section>
-
-          <section>
-            <h3 style="margin: 0 0 var(--spacing-sm) 0;">Skills</h3>
-            <div style="display: flex; flex-wrap: wrap; gap: var(--spacing-xs);">
-              ${['JavaScript', 'TypeScript', 'React', 'Node.js', 'Lit', 'CSS', 'HTML', 'Git'].map(skill => html`
-                <span style="background: var(--color-surface); padding: var(--spacing-xs) var(--spacing-sm);
-                             border-radius: var(--radius-sm); font-size: var(--font-size-sm);">
-                  ${skill}
-                </span>
-              `)}
-            </div>
-          </section>
-
-          <section>
-            <h3 style="margin: 0 0 var(--spacing-sm) 0;">Experience</h3>
-            <p style="line-height: 1.6; color: var(--color-text-secondary);">
-              Building modern web applications with focus on user experience and clean architecture.
-            </p>
-          </section>
-        </div>
-      </div>
-    `;
-  }
+    const app = this._getApp();
+    if (!app) {
+      // App components are custom elements, whose names contain a hyphen
+      return this.windowData?.component.includes('-')
+        ? this._renderMissingApp()
+        : this._renderDefaultContent();
+    }
+    if (!isAppLoaded(app)) {
+      return this._appLoad?.status === 'failed'
+        ? this._renderLoadError(app)
+        : this._renderLoadingSkeleton(app);
+    }
 
-  _renderTerminalApp() {
-    return html`
-      <div style="padding: var(--spacing-md); height: 100%; background: #1e1e1e; font-family: 'Monaco', 'Courier New', monospace;">
-        <div style="color: #00ff00; font-size: var(--font-size-sm);">
-          <p style="margin: 0;">Portfolio OS Terminal v1.0.0</p>
-          <p style="margin: var(--spacing-xs) 0;">Type 'help' for available commands.</p>
-          <br>
-          <p style="margin: 0; color: #888;">$ <span style="animation: blink 1s infinite;">_</span></p>
-        </div>
-        <p style="margin-top: var(--spacing-lg); color: #666; font-size: var(--font-size-sm);">
-          Terminal functionality coming soon...
-        </p>
-      </div>
-      <style>
-        @keyframes blink {
-          0%, 50% { opacity: 1; }
-          51%, 100% { opacity: 0; }
-        }
-      </style>
-    `;
-  }
+    this._runningApp = app;
 
-  _renderProjectsApp() {
-    return html`
-      <div style="padding: var(--spacing-lg); height: 100%; overflow-y: auto;">
-        <h2 style="margin: 0 0 var(--spacing-md) 0;">Projects</h2>
-        <div style="display: grid; gap: var(--spacing-md);">
-          ${[
-            { name: 'Portfolio OS', desc: 'Interactive desktop-style portfolio built with Lit', emoji: '🖥️' },
-            { name: 'Web App Dashboard', desc: 'Modern analytics dashboard with real-time data', emoji: '📊' },
-            { name: 'E-commerce Platform', desc: 'Full-stack shopping experience with payment integration', emoji: '🛒' }
-          ].map(project => html`
-            <div style="border: 1px solid var(--color-border); border-radius: var(--radius-md);
-                        padding: var(--spacing-md); background: var(--color-surface);">
-              <div style="display: flex; align-items: center; gap: var(--spacing-md);">
-                <div style="font-size: 32px;">${project.emoji}</div>
-                <div style="flex: 1;">
-                  <h3 style="margin: 0; font-size: var(--font-size-md);">${project.name}</h3>
-                  <p style="margin: var(--spacing-xs) 0 0 0; color: var(--color-text-secondary);
-                            font-size: var(--font-size-sm);">${project.desc}</p>
-                </div>
-              </div>
-            </div>
-          `)}
-        </div>
-      </div>
-    `;
+    // Safe to splice in: registerApp only accepts valid custom element names
+    const tag = unsafeStatic(app.component);
+    return staticHtml`<${tag} .windowId=${this.windowId} .data=${this.windowData.data}></${tag}>`;
   }
 
-  _renderContactApp() {
+  _renderLoadingSkeleton(app) {
     return html`
-      <div style="padding: var(--spacing-lg); height: 100%; overflow-y: auto;">
-        <h2 style="margin: 0 0 var(--spacing-md) 0;">Get in Touch</h2>
-        <div style="display: flex; flex-direction: column; gap: var(--spacing-lg);">
-          <div style="display: flex; flex-direction: column; gap: var(--spacing-md);">
-            <a href="mailto:ben@example.com" style="display: flex; align-items: center; gap: var(--spacing-sm);
-                                                     padding: var(--spacing-md); background: var(--color-surface);
-                                                     border-radius: var(--radius-md); text-decoration: none;
-                                                     color: var(--color-text-primary); transition: all var(--transition-fast);">
-              <span style="font-size: 24px;">📧</span>
-              <div>
-                <div style="font-weight: var(--font-weight-medium);">Email</div>
-                <div style="font-size: var(--font-size-sm); color: var(--color-text-secondary);">ben@example.com</div>
-              </div>
-            </a>
-
-            <a href="https://github.com" target="_blank" style="display: flex; align-items: center; gap: var(--spacing-sm);
-                                                                  padding: var(--spacing-md); background: var(--color-surface);
-                                                                  border-radius: var(--radius-md); text-decoration: none;
-                                                                  color: var(--color-text-primary);">
-              <span style="font-size: 24px;">💻</span>
-              <div>
-                <div style="font-weight: var(--font-weight-medium);">GitHub</div>
-                <div style="font-size: var(--font-size-sm); color: var(--color-text-secondary);">github.com/benwalley</div>
-              </div>
-            </a>
-
-            <a href="https://linkedin.com" target="_blank" style="display: flex; align-items: center; gap: var(--spacing-sm);
-                                                                    padding: var(--spacing-md); background: var(--color-surface);
-                                                                    border-radius: var(--radius-md); text-decoration: none;
-                                                                    color: var(--color-text-primary);">
-              <span style="font-size: 24px;">💼</span>
-              <div>
-                <div style="font-weight: var(--font-weight-medium);">LinkedIn</div>
-                <div style="font-size: var(--font-size-sm); color: var(--color-text-secondary);">linkedin.com/in/benwalley</div>
-              </div>
-            </a>
-          </div>
-        </div>
+      <div class="app-skeleton" role="status" aria-busy="true" aria-label="Loading ${app.name}">
+        <div class="skeleton-line heading"></div>
+        <div class="skeleton-line"></div>
+        <div class="skeleton-line short"></div>
+        <div class="skeleton-line"></div>
       </div>
     `;
   }
 
-  _renderSettingsApp() {
+  _renderLoadError(app) {
     return html`
-      <div style="padding: var(--spacing-lg); height: 100%; overflow-y: auto;">
-        <h2 style="margin: 0 0 var(--spacing-md) 0;">Settings</h2>
-        <div style="display: flex; flex-direction: column; gap: var(--spacing-lg);">
-          <section>
-            <h3 style="margin: 0 0 var(--spacing-sm) 0; font-size: var(--font-size-md);">Appearance</h3>
-            <p style="margin: 0 0 var(--spacing-sm) 0; color: var(--color-text-secondary); font-size: var(--font-size-sm);">
-              Change theme using the theme switcher in the top bar
-            </p>
-          </section>
-
-          <section>
-            <h3 style="margin: 0 0 var(--spacing-sm) 0; font-size: var(--font-size-md);">Desktop</h3>
-            <p style="margin: 0; color: var(--color-text-secondary); font-size: var(--font-size-sm);">
-              Drag icons to customize your desktop layout. Positions are saved automatically.
-            </p>
-          </section>
-
-          <section>
-            <h3 style="margin: 0 0 var(--spacing-sm) 0; font-size: var(--font-size-md);">Keyboard Shortcuts</h3>
-            <div style="display: flex; flex-direction: column; gap: var(--spacing-xs); font-size: var(--font-size-sm);">
-              <div style="display: flex; justify-content: space-between;">
-                <span>Close Window</span>
-                <code style="background: var(--color-surface); padding: 2px 6px; border-radius: var(--radius-sm);">Cmd/Ctrl + Q</code>
-              </div>
-              <div style="display: flex; justify-content: space-between;">
-                <span>Minimize Window</span>
-                <code style="background: var(--color-surface); padding: 2px 6px; border-radius: var(--radius-sm);">Cmd/Ctrl + M</code>
-              </div>
-              <div style="display: flex; justify-content: space-between;">
-                <span>Maximize Window</span>
-                <code style="background: var(--color-surface); padding: 2px 6px; border-radius: var(--radius-sm);">Cmd/Ctrl + F</code>
-              </div>
-            </div>
-          </section>
-        </div>
+      <div class="app-error" role="alert">
+        <span>${app.name} couldn't be loaded. Check your connection and try again.</span>
+        <button @click=${this._handleRetryLoad}>Retry</button>
       </div>
     `;
   }
 
-  _renderFilesApp() {
+  _renderMissingApp() {
     return html`
-      <div style="padding: var(--spacing-lg); height: 100%; overflow-y: auto;">
-        <h2 style="margin: 0 0 var(--spacing-md) 0;">Files</h2>
-        <div style="border: 1px solid var(--color-border); border-radius: var(--radius-md); overflow: hidden;">
-          <div style="background: var(--color-surface); padding: var(--spacing-sm) var(--spacing-md);
-                      border-bottom: 1px solid var(--color-border); font-size: var(--font-size-sm);
-                      font-weight: var(--font-weight-medium);">
-            ~/Desktop
-          </div>
-          <div style="padding: var(--spacing-md);">
-            ${[
-              { name: 'Documents', icon: '📄', type: 'folder' },
-              { name: 'Images', icon: '🖼️', type: 'folder' },
-              { name: 'Projects', icon: '📁', type: 'folder' },
-              { name: 'README.md', icon: '📝', type: 'file' }
-            ].map(item => html`
-              <div style="display: flex; align-items: center; gap: var(--spacing-sm);
-                          padding: var(--spacing-sm); border-radius: var(--radius-sm);
-                          cursor: pointer; transition: background var(--transition-fast);"
-                   @mouseenter=${(e) => e.target.style.background = 'var(--color-surface-hover)'}
-                   @mouseleave=${(e) => e.target.style.background = 'transparent'}>
-                <span style="font-size: 20px;">${item.icon}</span>
-                <span style="font-size: var(--font-size-sm);">${item.name}</span>
-              </div>
-            `)}
-          </div>
-        </div>
-        <p style="margin-top: var(--spacing-lg); color: var(--color-text-secondary); font-size: var(--font-size-sm);">
-          File browser functionality coming soon...
-        </p>
+      <div class="app-error" role="status">
+        <span>The app for this window isn't available. It will open here once it is installed.</span>
       </div>
     `;
   }
@@ -729,39 +1338,65 @@ export class OSWindow extends LitElement {
     `;
   }
 
+  /**
+   * Re-dispatch a titlebar control event from the window itself
+   * The original is composed too, so stop it or the desktop hears it twice
+   * (and a maximize toggle would undo itself)
+   * @param {CustomEvent} e
+   */
+  _forwardTitlebarEvent(e) {
+    e.stopPropagation();
+    this.dispatchEvent(new CustomEvent(e.type, { bubbles: true, composed: true }));
+  }
+
   render() {
     if (!this.windowData) return null;
 
-    const { title, isFocused } = this.windowData;
+    const { title, isFocused, isMaximized, isPinned, isShaded, component } = this.windowData;
+    const { resizable, maximizable } = getAppWindowOptions(component);
 
     return html`
       <div
-        class="window ${isFocused ? 'focused' : ''} ${this._isDragging ? 'dragging' : ''}"
-        @mousedown=${this._handleFocus}
+        class="window ${isFocused ? 'focused' : ''} ${this._isDragging ? 'dragging' : ''} ${isMaximized ? 'maximized' : ''} ${this._isKeyboardMode ? 'keyboard-mode' : ''} ${isShaded ? 'shaded' : ''}"
+        @pointerdown=${this._handleFocus}
       >
         <window-titlebar
           .title=${title}
+          .isMaximized=${Boolean(isMaximized)}
+          .isMaximizable=${maximizable}
+          .isPinned=${Boolean(isPinned)}
+          .isShaded=${Boolean(isShaded)}
           @dragstart=${this._handleDragStart}
-          @close=${() => this.dispatchEvent(new CustomEvent('close', { bubbles: true, composed: true }))}
-          @minimize=${() => this.dispatchEvent(new CustomEvent('minimize', { bubbles: true, composed: true }))}
-          @center=${() => this.dispatchEvent(new CustomEvent('center', { bubbles: true, composed: true }))}
-          @maximize=${() => this.dispatchEvent(new CustomEvent('maximize', { bubbles: true, composed: true }))}
+          @close=${this._forwardTitlebarEvent}
+          @minimize=${this._forwardTitlebarEvent}
+          @center=${this._forwardTitlebarEvent}
+          @maximize=${this._forwardTitlebarEvent}
+          @togglepin=${this._forwardTitlebarEvent}
+          @toggleshade=${this._forwardTitlebarEvent}
+          @keyboardmode=${this.enterKeyboardMode}
         ></window-titlebar>
 
+        <div class="sr-only" role="status" aria-live="polite">${this._announcement}</div>
+
+        ${this._isNotResponding ? this._renderNotResponding() : ''}
+
         <div class="window-content">
           <slot>
             ${this._renderAppContent()}
           </slot>
         </div>
 
-        <div class="resize-handle n" @mousedown=${(e) => this._handleResizeStart(e, 'n')} role="separator" aria-label="Resize north" aria-orientation="horizontal"></div>
-        <div class="resize-handle s" @mousedown=${(e) => this._handleResizeStart(e, 's')} role="separator" aria-label="Resize south" aria-orientation="horizontal"></div>
-        <div class="resize-handle e" @mousedown=${(e) => this._handleResizeStart(e, 'e')} role="separator" aria-label="Resize east" aria-orientation="vertical"></div>
-        <div class="resize-handle w" @mousedown=${(e) => this._handleResizeStart(e, 'w')} role="separator" aria-label="Resize west" aria-orientation="vertical"></div>
-        <div class="resize-handle ne" @mousedown=${(e) => this._handleResizeStart(e, 'ne')} role="separator" aria-label="Resize northeast"></div>
-        <div class="resize-handle nw" @mousedown=${(e) => this._handleResizeStart(e, 'nw')} role="separator" aria-label="Resize northwest"></div>
-        <div class="resize-handle se" @mousedown=${(e) => this._handleResizeStart(e, 'se')} role="separator" aria-label="Resize southeast"></div>
-        <div class="resize-handle sw" @mousedown=${(e) => this._handleResizeStart(e, 'sw')} role="separator" aria-label="Resize southwest"></div>
+        <!-- Pointer only; keyboard users resize through keyboard mode (titlebar or Cmd/Ctrl + K) -->
+        ${resizable && !isShaded ? html`
+          <div class="resize-handle n" @pointerdown=${(e) => this._handleResizeStart(e, 'n')} aria-hidden="true"></div>
+          <div class="resize-handle s" @pointerdown=${(e) => this._handleResizeStart(e, 's')} aria-hidden="true"></div>
+          <div class="resize-handle e" @pointerdown=${(e) => this._handleResizeStart(e, 'e')} aria-hidden="true"></div>
+          <div class="resize-handle w" @pointerdown=${(e) => this._handleResizeStart(e, 'w')} aria-hidden="true"></div>
+          <div class="resize-handle ne" @pointerdown=${(e) => this._handleResizeStart(e, 'ne')} aria-hidden="true"></div>
+          <div class="resize-handle nw" @pointerdown=${(e) => this._handleResizeStart(e, 'nw')} aria-hidden="true"></div>
+          <div class="resize-handle se" @pointerdown=${(e) => this._handleResizeStart(e, 'se')} aria-hidden="true"></div>
+          <div class="resize-handle sw" @pointerdown=${(e) => this._handleResizeStart(e, 'sw')} aria-hidden="true"></div>
+        ` : ''}
       </div>
     `;
   }
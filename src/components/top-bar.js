@@ -1,6 +1,18 @@
-import { LitElement, html, css } from 'lit';
+import { LitElement, html, css, nothing } from 'lit';
 import { ContextConsumer } from '@lit/context';
 import { appStateContext } from '../context/app-state.js';
+import { selectFocusedWindow, shallowEqual } from '../utils/selectors.js';
+import { TILING_MODES } from '../utils/constants.js';
+
+/**
+ * Slice of state shown in the top bar
+ */
+const selectTopBarState = (state) => ({
+  focusedTitle: selectFocusedWindow(state)?.title,
+  theme: state.theme,
+  workspaces: state.workspaces,
+  tilingMode: state.preferences.tilingMode
+});
 
 /**
  * TopBar Component
@@ -9,7 +21,10 @@ import { appStateContext } from '../context/app-state.js';
 export class TopBar extends LitElement {
   static properties = {
     _currentTime: { state: true },
-    _showThemeMenu: { state: true }
+    _showThemeMenu: { state: true },
+    _showWorkspaceMenu: { state: true },
+    _showWindowMenu: { state: true },
+    _workspaceName: { state: true }
   };
 
   static styles = css`
@@ -130,6 +145,61 @@ export class TopBar extends LitElement {
       color: white;
     }
 
+    .workspace-menu,
+    .window-menu {
+      position: absolute;
+      top: calc(100% + var(--spacing-xs));
+      left: 0;
+      background: var(--color-surface);
+      border: 1px solid var(--color-border);
+      border-radius: var(--radius-md);
+      box-shadow: var(--shadow-lg);
+      padding: var(--spacing-xs);
+      min-width: 220px;
+      z-index: 1000;
+    }
+
+    .menu-shortcut {
+      margin-left: auto;
+      color: var(--color-text-secondary);
+      font-size: var(--font-size-xs);
+    }
+
+    .workspace-empty {
+      padding: var(--spacing-sm);
+      font-size: var(--font-size-sm);
+      color: var(--color-text-secondary);
+    }
+
+    .workspace-form {
+      display: flex;
+      gap: var(--spacing-xs);
+      padding: var(--spacing-xs);
+      border-top: 1px solid var(--color-border);
+      margin-top: var(--spacing-xs);
+    }
+
+    .workspace-form input {
+      flex: 1;
+      min-width: 0;
+      padding: var(--spacing-xs) var(--spacing-sm);
+      font-size: var(--font-size-sm);
+      color: var(--color-text-primary);
+      background: var(--color-background);
+      border: 1px solid var(--color-border);
+      border-radius: var(--radius-sm);
+    }
+
+    .workspace-form button {
+      font-size: var(--font-size-sm);
+      padding: var(--spacing-xs) var(--spacing-sm);
+      color: var(--color-text-primary);
+      background: var(--color-surface);
+      border: 1px solid var(--color-border);
+      border-radius: var(--radius-sm);
+      cursor: pointer;
+    }
+
     .theme-indicator {
       width: 12px;
       height: 12px;
@@ -162,13 +232,21 @@ export class TopBar extends LitElement {
     super();
     this._currentTime = new Date();
     this._showThemeMenu = false;
+    this._showWorkspaceMenu = false;
+    this._showWindowMenu = false;
+    this._workspaceName = '';
     this._timeInterval = null;
+    this._unsubscribe = null;
 
     // Consume context
     new ContextConsumer(
       this,
       { context: appStateContext, callback: (value) => {
         this.appState = value;
+        if (this._unsubscribe) {
+          this._unsubscribe();
+        }
+        this._unsubscribe = value?.subscribe(selectTopBarState, () => this.requestUpdate(), shallowEqual);
         this.requestUpdate();
       }, subscribe: true }
     );
@@ -182,10 +260,12 @@ export class TopBar extends LitElement {
       this._currentTime = new Date();
     }, 1000);
 
-    // Close theme menu when clicking outside
+    // Close menus when clicking outside
     this._handleDocumentClick = (e) => {
-      if (this._showThemeMenu && !e.composedPath().includes(this)) {
+      if (!e.composedPath().includes(this)) {
         this._showThemeMenu = false;
+        this._showWorkspaceMenu = false;
+        this._showWindowMenu = false;
       }
     };
     document.addEventListener('click', this._handleDocumentClick);
@@ -199,6 +279,11 @@ export class TopBar extends LitElement {
     }
 
     document.removeEventListener('click', this._handleDocumentClick);
+
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
   }
 
   _formatTime() {
@@ -225,6 +310,142 @@ export class TopBar extends LitElement {
   _toggleThemeMenu(e) {
     e.stopPropagation();
     this._showThemeMenu = !this._showThemeMenu;
+    this._showWorkspaceMenu = false;
+    this._showWindowMenu = false;
+  }
+
+  _toggleWorkspaceMenu(e) {
+    e.stopPropagation();
+    this._showWorkspaceMenu = !this._showWorkspaceMenu;
+    this._showThemeMenu = false;
+    this._showWindowMenu = false;
+  }
+
+  _toggleWindowMenu(e) {
+    e.stopPropagation();
+    this._showWindowMenu = !this._showWindowMenu;
+    this._showThemeMenu = false;
+    this._showWorkspaceMenu = false;
+  }
+
+  _toggleOverview() {
+    this._showWindowMenu = false;
+    this.dispatchEvent(new CustomEvent('overview-toggle', {
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  _runWindowCommand(command) {
+    if (!this.appState) return;
+    command();
+    this._showWindowMenu = false;
+  }
+
+  _handleWindowOptionKeydown(e, command) {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      this._runWindowCommand(command);
+    } else if (e.key === 'Escape') {
+      this._showWindowMenu = false;
+    }
+  }
+
+  _renderWindowMenu() {
+    const isMasterStack = this.appState.getTilingMode() === TILING_MODES.MASTER_STACK;
+    const options = [
+      {
+        label: 'Tile all',
+        shortcut: 'Cmd+Shift+G',
+        run: () => this.appState.tileWindows()
+      },
+      {
+        label: 'Cascade all',
+        shortcut: 'Cmd+Shift+L',
+        run: () => this.appState.cascadeWindows()
+      },
+      {
+        label: 'Master/stack tiling',
+        shortcut: 'Cmd+Shift+S',
+        active: isMasterStack,
+        run: () => this.appState.setTilingMode(isMasterStack ? TILING_MODES.NONE : TILING_MODES.MASTER_STACK)
+      }
+    ];
+
+    return html`
+      <div class="window-menu" role="menu" aria-label="Window layout">
+        ${options.map(option => html`
+          <div
+            class="theme-option ${option.active ? 'active' : ''}"
+            @click=${() => this._runWindowCommand(option.run)}
+            @keydown=${(e) => this._handleWindowOptionKeydown(e, option.run)}
+            role=${option.active === undefined ? 'menuitem' : 'menuitemcheckbox'}
+            aria-checked=${option.active === undefined ? nothing : String(option.active)}
+            tabindex="0"
+          >
+            ${option.label}
+            <span class="menu-shortcut">${option.shortcut}</span>
+          </div>
+        `)}
+      </div>
+    `;
+  }
+
+  _restoreWorkspace(name) {
+    if (!this.appState) return;
+    this.appState.restoreWorkspace(name);
+    this._showWorkspaceMenu = false;
+  }
+
+  _handleWorkspaceOptionKeydown(e, name) {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      this._restoreWorkspace(name);
+    } else if (e.key === 'Escape') {
+      this._showWorkspaceMenu = false;
+    }
+  }
+
+  _handleSaveWorkspace(e) {
+    e.preventDefault();
+    if (!this.appState) return;
+
+    if (this.appState.saveWorkspace(this._workspaceName)) {
+      this._workspaceName = '';
+    }
+  }
+
+  _renderWorkspaceMenu() {
+    const workspaces = this.appState.listWorkspaces();
+
+    return html`
+      <div class="workspace-menu" role="menu" aria-label="Workspaces">
+        ${workspaces.length === 0 ? html`
+          <div class="workspace-empty">No saved workspaces</div>
+        ` : workspaces.map(workspace => html`
+          <div
+            class="theme-option"
+            @click=${() => this._restoreWorkspace(workspace.name)}
+            @keydown=${(e) => this._handleWorkspaceOptionKeydown(e, workspace.name)}
+            role="menuitem"
+            tabindex="0"
+          >
+            ${workspace.name}
+          </div>
+        `)}
+        <form class="workspace-form" @submit=${this._handleSaveWorkspace}>
+          <input
+            type="text"
+            placeholder="Save current as…"
+            aria-label="New workspace name"
+            .value=${this._workspaceName}
+            @input=${(e) => { this._workspaceName = e.target.value; }}
+            @keydown=${(e) => { if (e.key === 'Escape') this._showWorkspaceMenu = false; }}
+          >
+          <button type="submit">Save</button>
+        </form>
+      </div>
+    `;
   }
 
   _selectTheme(theme) {
@@ -270,6 +491,37 @@ export class TopBar extends LitElement {
         <div class="topbar-left">
           <div class="logo">Portfolio OS</div>
 
+          <button
+            class="menu-item"
+            @click=${this._toggleWorkspaceMenu}
+            aria-expanded="${this._showWorkspaceMenu}"
+            aria-haspopup="menu"
+          >
+            Workspaces
+          </button>
+
+          ${this._showWorkspaceMenu ? this._renderWorkspaceMenu() : ''}
+
+          <button
+            class="menu-item"
+            @click=${this._toggleWindowMenu}
+            aria-expanded="${this._showWindowMenu}"
+            aria-haspopup="menu"
+          >
+            Window
+          </button>
+
+          ${this._showWindowMenu ? this._renderWindowMenu() : ''}
+
+          <button
+            class="menu-item"
+            @click=${this._toggleOverview}
+            aria-label="Show all windows"
+            title="Show all windows (Cmd+Shift+E)"
+          >
+            Overview
+          </button>
+
           ${focusedWindow ? html`
             <span class="menu-item">${focusedWindow.title}</span>
           ` : ''}
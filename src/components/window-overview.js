@@ -0,0 +1,370 @@
+import { LitElement, html, css } from 'lit';
+import { ContextConsumer } from '@lit/context';
+import { appStateContext } from '../context/app-state.js';
+import { getAppByComponent } from '../utils/app-registry.js';
+import { getAvailableDesktopBounds, getTileLayout } from '../utils/window-manager.js';
+import {
+  prefersReducedMotion,
+  getOverviewKeyframes,
+  getOverviewAnimationOptions,
+  getRestoreKeyframes,
+  getRestoreAnimationOptions
+} from '../utils/animations.js';
+import {
+  OVERVIEW_HEADER_HEIGHT,
+  OVERVIEW_GAP,
+  OVERVIEW_LABEL_HEIGHT
+} from '../utils/constants.js';
+
+/**
+ * WindowOverview Component
+ * Shows every open window, minimized ones included, as tiles in a grid,
+ * most recently used first. Each tile is a card with the app's icon, shaped
+ * and sized in proportion to its window (not a live preview of its content).
+ * Typing filters by title, arrows move the selection, Enter or a click
+ * focuses the window and Escape closes the overview
+ */
+export class WindowOverview extends LitElement {
+  static properties = {
+    _windows: { state: true },
+    _query: { state: true },
+    _selectedIndex: { state: true }
+  };
+
+  static styles = css`
+    :host {
+      position: absolute;
+      inset: 0;
+      z-index: calc(var(--z-desktop) + 20);
+      display: block;
+    }
+
+    .overview {
+      position: absolute;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.55);
+      backdrop-filter: blur(6px);
+    }
+
+    .search {
+      position: absolute;
+      top: var(--spacing-md);
+      left: 50%;
+      transform: translateX(-50%);
+      width: min(360px, 80%);
+      padding: var(--spacing-sm) var(--spacing-md);
+      font-size: var(--font-size-md);
+      color: var(--color-text-primary);
+      background: var(--color-surface);
+      border: 1px solid var(--color-border);
+      border-radius: var(--radius-md);
+    }
+
+    .search:focus {
+      outline: none;
+      border-color: var(--color-border-focus);
+    }
+
+    .tile {
+      position: absolute;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      padding: 0;
+      background: none;
+      border: none;
+      cursor: pointer;
+      color: var(--color-text-primary);
+    }
+
+    .card {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-size: 48px;
+      background: var(--color-surface);
+      border: 2px solid var(--color-border);
+      border-radius: var(--radius-md);
+      box-shadow: var(--shadow-lg);
+      transition: border-color var(--transition-fast), transform var(--transition-fast);
+    }
+
+    .tile.minimized .card {
+      opacity: 0.6;
+    }
+
+    .tile.selected .card,
+    .tile:hover .card {
+      border-color: var(--color-primary);
+      transform: scale(1.03);
+    }
+
+    .label {
+      display: flex;
+      align-items: center;
+      gap: var(--spacing-xs);
+      max-width: 100%;
+      height: ${OVERVIEW_LABEL_HEIGHT}px;
+      font-size: var(--font-size-sm);
+      color: #fff;
+      white-space: nowrap;
+    }
+
+    .label-title {
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+
+    .empty {
+      position: absolute;
+      top: 50%;
+      width: 100%;
+      text-align: center;
+      color: #fff;
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+      .card {
+        transition: none;
+      }
+    }
+  `;
+
+  constructor() {
+    super();
+    this._windows = [];
+    this._query = '';
+    this._selectedIndex = 0;
+    this._unsubscribe = null;
+    this._hasAnimatedIn = false;
+
+    // Consume context
+    new ContextConsumer(
+      this,
+      { context: appStateContext, callback: (value) => {
+        this.appState = value;
+        if (this._unsubscribe) {
+          this._unsubscribe();
+        }
+        if (value) {
+          this._windows = value.getState().windows;
+          this._unsubscribe = value.subscribe(state => state.windows, (windows) => {
+            this._windows = windows;
+          });
+        }
+      }, subscribe: true }
+    );
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+  }
+
+  firstUpdated() {
+    this.shadowRoot.querySelector('.search')?.focus();
+  }
+
+  updated() {
+    // Tiles fly out of their windows once, when the overview first has some
+    if (!this._hasAnimatedIn && this._windows.length > 0) {
+      this._hasAnimatedIn = true;
+      this._animateIn();
+    }
+  }
+
+  /**
+   * Windows matching the filter, most recently focused first
+   * @returns {Object[]}
+   */
+  _getVisibleWindows() {
+    const query = this._query.trim().toLowerCase();
+    return this.appState.getWindowsByRecentUse()
+      .filter(w => !query || w.title.toLowerCase().includes(query));
+  }
+
+  /**
+   * Tile geometry for each window: a card with the window's proportions
+   * centered in its grid cell, leaving room for the label underneath
+   * @param {Object[]} windows - Windows to lay out
+   * @returns {Object[]} {position, size} of each card
+   */
+  _getTileRects(windows) {
+    const bounds = getAvailableDesktopBounds(this.appState.getState().desktopSize);
+    const area = {
+      width: Math.max(0, bounds.width - OVERVIEW_GAP * 2),
+      height: Math.max(0, bounds.height - OVERVIEW_HEADER_HEIGHT - OVERVIEW_GAP)
+    };
+
+    return getTileLayout(windows.length, area).map((cell, index) => {
+      const { size } = windows[index];
+      const maxWidth = Math.max(1, cell.size.width - OVERVIEW_GAP);
+      const maxHeight = Math.max(1, cell.size.height - OVERVIEW_GAP - OVERVIEW_LABEL_HEIGHT);
+      const scale = Math.min(maxWidth / size.width, maxHeight / size.height, 1);
+      const width = Math.round(size.width * scale);
+      const height = Math.round(size.height * scale);
+
+      return {
+        position: {
+          x: OVERVIEW_GAP + cell.position.x + Math.round((cell.size.width - width) / 2),
+          y: OVERVIEW_HEADER_HEIGHT + cell.position.y +
+            Math.round((cell.size.height - OVERVIEW_LABEL_HEIGHT - height) / 2)
+        },
+        size: { width, height }
+      };
+    });
+  }
+
+  /**
+   * Move each card from where its window is into its tile
+   */
+  _animateIn() {
+    if (prefersReducedMotion()) return;
+
+    const windows = this._getVisibleWindows();
+    const rects = this._getTileRects(windows);
+    const cards = this.shadowRoot.querySelectorAll('.card');
+
+    cards.forEach((card, index) => {
+      const windowData = windows[index];
+      if (!windowData) return;
+
+      if (windowData.isMinimized) {
+        // Backwards fill only, so the minimized styling applies afterwards
+        card.animate(getRestoreKeyframes(), { ...getRestoreAnimationOptions(), fill: 'backwards' });
+      } else {
+        card.animate(
+          getOverviewKeyframes(windowData, rects[index]),
+          getOverviewAnimationOptions()
+        );
+      }
+    });
+  }
+
+  /**
+   * Focus a window (restoring it if minimized) and close the overview
+   * @param {string} id - Window ID
+   */
+  _selectWindow(id) {
+    this.appState?.focusWindow(id);
+    this._close();
+  }
+
+  _close() {
+    this.dispatchEvent(new CustomEvent('overview-close', {
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  _handleInput(e) {
+    this._query = e.target.value;
+    this._selectedIndex = 0;
+  }
+
+  _handleKeydown(e) {
+    const windows = this._getVisibleWindows();
+    const columns = Math.ceil(Math.sqrt(windows.length)) || 1;
+    const last = windows.length - 1;
+    const moves = {
+      ArrowLeft: -1,
+      ArrowRight: 1,
+      ArrowUp: -columns,
+      ArrowDown: columns
+    };
+
+    if (e.key in moves) {
+      e.preventDefault();
+      if (windows.length > 0) {
+        this._selectedIndex = Math.max(0, Math.min(this._selectedIndex + moves[e.key], last));
+      }
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      const selected = windows[this._selectedIndex];
+      if (selected) {
+        this._selectWindow(selected.id);
+      }
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      // First Escape clears the filter, the next one closes
+      if (this._query) {
+        this._query = '';
+        this._selectedIndex = 0;
+      } else {
+        this._close();
+      }
+    }
+  }
+
+  _handleBackdropClick(e) {
+    if (e.target === e.currentTarget) {
+      this._close();
+    }
+  }
+
+  _renderTile(windowData, rect, index) {
+    const app = getAppByComponent(windowData.component);
+    const selected = index === this._selectedIndex;
+
+    return html`
+      <button
+        id="tile-${windowData.id}"
+        class="tile ${selected ? 'selected' : ''} ${windowData.isMinimized ? 'minimized' : ''}"
+        style="left: ${rect.position.x}px; top: ${rect.position.y}px; width: ${rect.size.width}px;"
+        role="option"
+        aria-selected=${String(selected)}
+        aria-label="${windowData.title}${windowData.isMinimized ? ' (minimized)' : ''}"
+        tabindex="-1"
+        @click=${() => this._selectWindow(windowData.id)}
+      >
+        <div
+          class="card"
+          style="width: ${rect.size.width}px; height: ${rect.size.height}px;"
+          aria-hidden="true"
+        >${app?.icon || '🗔'}</div>
+        <div class="label" aria-hidden="true">
+          <span>${app?.icon || ''}</span>
+          <span class="label-title">${windowData.title}</span>
+        </div>
+      </button>
+    `;
+  }
+
+  render() {
+    if (!this.appState) return html``;
+
+    const windows = this._getVisibleWindows();
+    const rects = this._getTileRects(windows);
+    const selected = windows[this._selectedIndex];
+
+    return html`
+      <div class="overview" @click=${this._handleBackdropClick} @keydown=${this._handleKeydown}>
+        <input
+          class="search"
+          type="text"
+          placeholder="Type to filter windows"
+          role="combobox"
+          aria-label="Filter windows"
+          aria-expanded="true"
+          aria-controls="overview-tiles"
+          aria-activedescendant=${selected ? `tile-${selected.id}` : ''}
+          .value=${this._query}
+          @input=${this._handleInput}
+        >
+
+        <div id="overview-tiles" role="listbox" aria-label="Open windows">
+          ${windows.map((windowData, index) => this._renderTile(windowData, rects[index], index))}
+        </div>
+
+        ${windows.length === 0 ? html`
+          <div class="empty">${this._windows.length === 0 ? 'No open windows' : 'No matching windows'}</div>
+        ` : ''}
+      </div>
+    `;
+  }
+}
+
+customElements.define('window-overview', WindowOverview);
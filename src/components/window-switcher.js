@@ -0,0 +1,127 @@
+import { LitElement, html, css } from 'lit';
+import { getAppByComponent } from '../utils/app-registry.js';
+
+/**
+ * WindowSwitcher Component
+ * Overlay listing windows in most-recently-used order while the switch
+ * shortcut is held. The desktop owns the keyboard handling and tells the
+ * switcher which window is selected
+ */
+export class WindowSwitcher extends LitElement {
+  static properties = {
+    windows: { type: Array },
+    selectedIndex: { type: Number }
+  };
+
+  static styles = css`
+    :host {
+      position: absolute;
+      inset: 0;
+      z-index: calc(var(--z-desktop) + 20);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      pointer-events: none;
+    }
+
+    .switcher {
+      display: flex;
+      gap: var(--spacing-sm);
+      max-width: 90%;
+      padding: var(--spacing-md);
+      overflow-x: auto;
+      background: var(--color-surface);
+      border: 1px solid var(--color-border);
+      border-radius: var(--radius-lg);
+      box-shadow: var(--shadow-lg);
+      pointer-events: auto;
+    }
+
+    .item {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: var(--spacing-xs);
+      width: 96px;
+      padding: var(--spacing-sm);
+      color: var(--color-text-primary);
+      background: none;
+      border: 2px solid transparent;
+      border-radius: var(--radius-md);
+      cursor: pointer;
+      font-size: var(--font-size-sm);
+    }
+
+    .item.selected {
+      border-color: var(--color-primary);
+      background: var(--color-surface-hover);
+    }
+
+    .item.minimized .icon {
+      opacity: 0.5;
+    }
+
+    .icon {
+      font-size: 40px;
+    }
+
+    .title {
+      max-width: 100%;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .sr-only {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      padding: 0;
+      margin: -1px;
+      overflow: hidden;
+      clip: rect(0, 0, 0, 0);
+      white-space: nowrap;
+      border-width: 0;
+    }
+  `;
+
+  constructor() {
+    super();
+    this.windows = [];
+    this.selectedIndex = 0;
+  }
+
+  _handleItemClick(index) {
+    this.dispatchEvent(new CustomEvent('switcher-select', {
+      detail: { index },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  render() {
+    const selected = this.windows[this.selectedIndex];
+
+    return html`
+      <div class="switcher" role="listbox" aria-label="Switch windows">
+        ${this.windows.map((windowData, index) => html`
+          <div
+            class="item ${index === this.selectedIndex ? 'selected' : ''} ${windowData.isMinimized ? 'minimized' : ''}"
+            role="option"
+            aria-selected=${String(index === this.selectedIndex)}
+            @click=${() => this._handleItemClick(index)}
+          >
+            <span class="icon" aria-hidden="true">${getAppByComponent(windowData.component)?.icon || '🗔'}</span>
+            <span class="title">${windowData.title}</span>
+          </div>
+        `)}
+      </div>
+
+      <div class="sr-only" role="status" aria-live="polite">
+        ${selected ? `${selected.title}${selected.isMinimized ? ', minimized' : ''}, ${this.selectedIndex + 1} of ${this.windows.length}` : ''}
+      </div>
+    `;
+  }
+}
+
+customElements.define('window-switcher', WindowSwitcher);
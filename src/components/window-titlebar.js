@@ -6,7 +6,12 @@ import { LitElement, html, css } from 'lit';
  */
 export class WindowTitlebar extends LitElement {
   static properties = {
-    title: { type: String }
+    title: { type: String },
+    isMaximized: { type: Boolean },
+    isMaximizable: { type: Boolean },
+    isPinned: { type: Boolean },
+    isShaded: { type: Boolean },
+    _showMenu: { state: true }
   };
 
   static styles = css`
@@ -16,6 +21,7 @@ export class WindowTitlebar extends LitElement {
     }
 
     .titlebar {
+      position: relative;
       display: grid;
       grid-template-columns: auto 1fr auto;
       align-items: center;
@@ -24,6 +30,7 @@ export class WindowTitlebar extends LitElement {
       border-bottom: 1px solid var(--color-border);
       padding: 0 var(--spacing-md);
       cursor: grab;
+      touch-action: none;
       border-top-left-radius: var(--radius-lg);
       border-top-right-radius: var(--radius-lg);
     }
@@ -48,6 +55,67 @@ export class WindowTitlebar extends LitElement {
       white-space: nowrap;
       pointer-events: none;
       padding: 0 var(--spacing-md);
+      border-radius: var(--radius-sm);
+    }
+
+    .window-title:focus-visible {
+      outline: 2px solid var(--color-primary);
+    }
+
+    .window-menu {
+      justify-self: end;
+    }
+
+    .menu-button {
+      padding: 2px var(--spacing-xs);
+      font-size: var(--font-size-sm);
+      line-height: 1;
+      color: var(--color-text-secondary);
+      background: none;
+      border: none;
+      border-radius: var(--radius-sm);
+      cursor: pointer;
+    }
+
+    .menu-button:hover,
+    .menu-button[aria-expanded='true'] {
+      color: var(--color-text-primary);
+      background: var(--color-surface-hover);
+    }
+
+    .menu {
+      position: absolute;
+      top: 100%;
+      right: var(--spacing-sm);
+      min-width: 170px;
+      padding: var(--spacing-xs);
+      background: var(--color-surface);
+      border: 1px solid var(--color-border);
+      border-radius: var(--radius-md);
+      box-shadow: var(--shadow-lg);
+      cursor: default;
+      z-index: 1;
+    }
+
+    .menu-option {
+      display: flex;
+      align-items: center;
+      gap: var(--spacing-sm);
+      padding: var(--spacing-sm);
+      font-size: var(--font-size-sm);
+      color: var(--color-text-primary);
+      border-radius: var(--radius-sm);
+      cursor: pointer;
+    }
+
+    .menu-option:hover,
+    .menu-option:focus-visible {
+      background: var(--color-surface-hover);
+      outline: none;
+    }
+
+    .menu-check {
+      width: 1em;
     }
 
     .control-button {
@@ -101,6 +169,11 @@ export class WindowTitlebar extends LitElement {
       background: #1fa832;
     }
 
+    .control-button:disabled {
+      opacity: 0.4;
+      pointer-events: none;
+    }
+
     /* Windows-style buttons on hover */
     .control-button:hover::before {
       content: attr(data-symbol);
@@ -144,11 +217,40 @@ export class WindowTitlebar extends LitElement {
   constructor() {
     super();
     this.title = 'Untitled';
+    this.isMaximized = false;
+    this.isMaximizable = true;
+    this.isPinned = false;
+    this.isShaded = false;
+    this._showMenu = false;
+
+    this._handleDocumentClick = (e) => {
+      if (!e.composedPath().includes(this)) {
+        this._showMenu = false;
+      }
+    };
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    document.addEventListener('click', this._handleDocumentClick);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    document.removeEventListener('click', this._handleDocumentClick);
+  }
+
+  /**
+   * Whether an event started on a button or the window menu
+   * rather than on the bare titlebar
+   */
+  _isOnControl(e) {
+    return Boolean(e.target.closest('.control-button, .window-menu'));
   }
 
   _handleDragStart(e) {
-    // Don't start drag if clicking on control buttons
-    if (e.target.classList.contains('control-button')) {
+    // Don't start drag if clicking on control buttons or the menu
+    if (this._isOnControl(e)) {
       return;
     }
 
@@ -191,7 +293,71 @@ export class WindowTitlebar extends LitElement {
     }));
   }
 
-  _handleDoubleClick() {
+  _handleTitleKeydown(e) {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      this.dispatchEvent(new CustomEvent('keyboardmode', {
+        bubbles: true,
+        composed: true
+      }));
+    }
+  }
+
+  _toggleMenu(e) {
+    e.stopPropagation();
+    this._showMenu = !this._showMenu;
+  }
+
+  /**
+   * Close the menu and tell the window to run a command
+   * @param {string} eventName - 'togglepin' or 'toggleshade'
+   */
+  _runMenuCommand(eventName) {
+    this._showMenu = false;
+    this.dispatchEvent(new CustomEvent(eventName, {
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  _handleMenuOptionKeydown(e, eventName) {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      this._runMenuCommand(eventName);
+    } else if (e.key === 'Escape') {
+      this._showMenu = false;
+      this.shadowRoot.querySelector('.menu-button')?.focus();
+    }
+  }
+
+  _renderMenu() {
+    const options = [
+      { label: 'Always on top', event: 'togglepin', checked: this.isPinned },
+      { label: 'Shade', event: 'toggleshade', checked: this.isShaded }
+    ];
+
+    return html`
+      <div class="menu" role="menu" aria-label="Window options">
+        ${options.map(option => html`
+          <div
+            class="menu-option"
+            role="menuitemcheckbox"
+            aria-checked=${String(option.checked)}
+            tabindex="0"
+            @click=${() => this._runMenuCommand(option.event)}
+            @keydown=${(e) => this._handleMenuOptionKeydown(e, option.event)}
+          >
+            <span class="menu-check" aria-hidden="true">${option.checked ? '✓' : ''}</span>
+            ${option.label}
+          </div>
+        `)}
+      </div>
+    `;
+  }
+
+  _handleDoubleClick(e) {
+    if (!this.isMaximizable || this._isOnControl(e)) return;
+
     this.dispatchEvent(new CustomEvent('maximize', {
       bubbles: true,
       composed: true
@@ -202,8 +368,7 @@ export class WindowTitlebar extends LitElement {
     return html`
       <div
         class="titlebar"
-        @mousedown=${this._handleDragStart}
-        @touchstart=${this._handleDragStart}
+        @pointerdown=${this._handleDragStart}
         @dblclick=${this._handleDoubleClick}
       >
         <div class="window-controls">
@@ -231,15 +396,31 @@ export class WindowTitlebar extends LitElement {
           <button
             class="control-button maximize"
             @click=${this._handleMaximize}
-            aria-label="Maximize window"
-            title="Maximize (Cmd+F)"
+            ?disabled=${!this.isMaximizable}
+            aria-label=${this.isMaximized ? 'Restore window' : 'Maximize window'}
+            title=${this.isMaximized ? 'Restore (Cmd+F)' : 'Maximize (Cmd+F)'}
           ></button>
         </div>
 
-        <div class="window-title">${this.title}</div>
+        <div
+          class="window-title"
+          tabindex="0"
+          role="button"
+          aria-label="${this.title}: move or resize with the keyboard"
+          @keydown=${this._handleTitleKeydown}
+        >${this.title}</div>
 
-        <!-- Empty div to maintain grid layout -->
-        <div></div>
+        <div class="window-menu">
+          <button
+            class="menu-button"
+            @click=${this._toggleMenu}
+            aria-label="Window options"
+            aria-haspopup="menu"
+            aria-expanded="${this._showMenu}"
+            title="Window options"
+          >▾</button>
+          ${this._showMenu ? this._renderMenu() : ''}
+        </div>
       </div>
     `;
   }
@@ -1,5 +1,43 @@
 import { createContext } from '@lit/context';
-import { generateWindowId } from '../utils/window-manager.js';
+import {
+  generateWindowId,
+  normalizeWindowBounds,
+  getAvailableDesktopBounds,
+  getSnapZoneBounds,
+  findSnapZone,
+  getNextSnapZone,
+  isThirdsLayoutAvailable,
+  getTileLayout,
+  getCascadeLayout,
+  getMasterStackLayout,
+  constrainSize
+} from '../utils/window-manager.js';
+import {
+  getAppById,
+  getAppByComponent,
+  getAppWindowOptions,
+  findLaunchTarget
+} from '../utils/app-registry.js';
+import { shallowEqual } from '../utils/selectors.js';
+import { CommandHistory } from '../utils/command-history.js';
+import {
+  PERSISTED_SLICES,
+  migrateState,
+  restoreSlice,
+  sanitizeRevisions,
+  sanitizeWorkspaces,
+  buildImportPreview,
+  serializeSlice,
+  serializeState,
+  toWindowLayout
+} from '../utils/state-schema.js';
+import { TabSync } from '../utils/tab-sync.js';
+import {
+  createStorageAdapter,
+  readBackendMarker,
+  writeBackendMarker
+} from '../utils/storage-adapters.js';
+import { downloadJson, readJsonFile } from '../utils/file-transfer.js';
 import {
   Z_INDEX,
   WINDOW_INITIAL_WIDTH,
@@ -7,7 +45,15 @@ import {
   WINDOW_CASCADE_OFFSET,
   WINDOW_CASCADE_MAX,
   STORAGE_KEY_APP_STATE,
-  THEMES
+  THEMES,
+  DEFAULT_PREFERENCES,
+  STORAGE_BACKENDS,
+  DEBOUNCE_AUTOSAVE,
+  EXPORT_FORMAT,
+  SNAP_ZONES,
+  TILING_MODES,
+  LAUNCH_POLICIES,
+  WINDOW_PLACEMENTS
 } from '../utils/constants.js';
 
 /**
@@ -26,42 +72,131 @@ export const initialState = {
   nextZIndex: Z_INDEX.WINDOW_BASE,
   desktopSize: { width: window.innerWidth, height: window.innerHeight },
   focusedWindowId: null,
+  focusHistory: [], // Window ids, most recently focused first
   iconPositions: new Map(), // Map of appId -> {x, y}
-  selectedIcons: new Set() // Set of selected appId strings
+  selectedIcons: new Set(), // Set of selected appId strings
+  preferences: { ...DEFAULT_PREFERENCES },
+  workspaces: [], // Named layouts: {name, savedAt, theme, windows, iconPositions}
+  windowMemory: {} // Map of appId -> {position, size, isMaximized} the app was last closed with
 };
 
+/**
+ * Slices every tab shares; `windows` is only shared when mirroring is enabled
+ */
+const SHARED_SLICES = ['theme', 'iconPositions', 'preferences', 'workspaces', 'windowMemory'];
+
+/**
+ * Compare two {position, size} records; missing records only match each other
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {boolean}
+ */
+function isSameGeometry(a, b) {
+  if (!a || !b) return !a && !b;
+  return a.position.x === b.position.x && a.position.y === b.position.y &&
+    a.size.width === b.size.width && a.size.height === b.size.height;
+}
+
 /**
  * Create app state with methods
  */
 export class AppState {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {string|Object} options.storage - Preferred storage backend name or adapter instance
+   */
+  constructor({ storage = STORAGE_BACKENDS.LOCAL } = {}) {
     this.state = { ...initialState };
     this.listeners = new Set();
+    this._notifyScheduled = false;
     this._saveTimeout = null;
-    this.loadFromLocalStorage();
+    this._history = new CommandHistory();
+    this._revisions = sanitizeRevisions(null);
+    this._pendingBroadcast = new Set();
+    this._broadcastScheduled = false;
+    this._isApplyingRemote = false;
+    this._failedBackends = [];
+    this._staleStorage = null;
+    this._saveChain = Promise.resolve();
+    this._closeGuards = new Map();
+    this._pendingCloses = new Map();
+    // A previous session that ran out of room saved to another backend; keep reading from it
+    this.storage = createStorageAdapter(
+      typeof storage === 'string' ? readBackendMarker() || storage : storage
+    );
+    this.ready = this.loadFromStorage();
     this.setupAutoSave();
+    this.setupTabSync();
   }
 
   /**
    * Subscribe to state changes
+   * With a selector, the callback only runs when the selected slice changes:
+   *   subscribe(state => state.theme, theme => ...)
+   * With a single function argument, it runs on every change with the whole state
+   * @param {Function} selector - (state) => slice, or the callback itself
+   * @param {Function} [callback] - (slice, state) => void
+   * @param {Function} [equalityFn] - (previous, next) => boolean, defaults to Object.is
+   * @returns {Function} Unsubscribe function
    */
-  subscribe(callback) {
-    this.listeners.add(callback);
-    return () => this.listeners.delete(callback);
+  subscribe(selector, callback, equalityFn = Object.is) {
+    const listener = callback
+      ? { selector, callback, equalityFn, value: selector(this.state) }
+      : { selector: null, callback: selector };
+
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
   }
 
   /**
-   * Notify all listeners of state change
+   * Schedule listener notification
+   * Changes made in the same task are delivered together in one microtask
    */
   notify() {
-    this.listeners.forEach(callback => callback(this.state));
+    if (this._notifyScheduled) return;
+    this._notifyScheduled = true;
+    queueMicrotask(() => this._flushNotifications());
+  }
+
+  /**
+   * Run listeners whose selected slice changed
+   * @private
+   */
+  _flushNotifications() {
+    this._notifyScheduled = false;
+    const state = this.state;
+
+    this.listeners.forEach(listener => {
+      // Listener may have been removed by an earlier callback in this flush
+      if (!this.listeners.has(listener)) return;
+
+      if (!listener.selector) {
+        listener.callback(state);
+        return;
+      }
+
+      const value = listener.selector(state);
+      if (listener.equalityFn(listener.value, value)) return;
+
+      listener.value = value;
+      listener.callback(value, state);
+    });
   }
 
   /**
    * Update state and notify listeners
+   * @param {Object} updates - Partial state
+   * @param {Object} options
+   * @param {boolean} options.broadcast - Bump slice revisions and share the change with other tabs
    */
-  updateState(updates) {
+  updateState(updates, { broadcast = true } = {}) {
+    if ('windows' in updates || 'focusedWindowId' in updates) {
+      updates = { ...updates, focusHistory: this._getNextFocusHistory(updates) };
+    }
     this.state = { ...this.state, ...updates };
+    if (broadcast && !this._isApplyingRemote) {
+      this._touchSlices(Object.keys(updates));
+    }
     this.notify();
   }
 
@@ -91,21 +226,181 @@ export class AppState {
     );
   }
 
+  /**
+   * Record an undoable command (ignored while undoing/redoing)
+   * @private
+   * @param {import('../utils/command-history.js').Command} command
+   */
+  _recordCommand(command) {
+    this._history.push(command);
+  }
+
+  /**
+   * Get a copy of a window's position, size and maximize state
+   * @private
+   * @param {string} id - Window ID
+   * @returns {Object|null} {position, size, isMaximized, restoreGeometry}
+   */
+  _getWindowGeometry(id) {
+    const windowData = this.getWindow(id);
+    if (!windowData) return null;
+    return {
+      position: { ...windowData.position },
+      size: { ...windowData.size },
+      isMaximized: Boolean(windowData.isMaximized),
+      restoreGeometry: windowData.restoreGeometry || null
+    };
+  }
+
+  /**
+   * Apply a stored position, size and maximize state to a window
+   * @private
+   * @param {string} id - Window ID
+   * @param {Object} geometry - {position, size, isMaximized, restoreGeometry}
+   */
+  _setWindowGeometry(id, geometry) {
+    if (!this.getWindow(id)) return;
+    const windows = this._updateWindow(id, {
+      position: { ...geometry.position },
+      size: { ...geometry.size },
+      isMaximized: geometry.isMaximized,
+      restoreGeometry: geometry.restoreGeometry
+    });
+    this.updateState({ windows });
+  }
+
+  /**
+   * Record a geometry change made to a window since `before` was captured
+   * @private
+   * @param {string} id - Window ID
+   * @param {Object|null} before - Geometry captured before the change
+   * @param {string} label - Command label
+   * @param {boolean} merge - Merge with consecutive geometry changes (drag/resize)
+   */
+  _recordGeometryChange(id, before, label, merge = false) {
+    const after = this._getWindowGeometry(id);
+    if (!before || !after) return;
+
+    this._recordCommand({
+      label,
+      mergeKey: merge ? `geometry:${id}` : undefined,
+      undo: () => this._setWindowGeometry(id, before),
+      redo: () => this._setWindowGeometry(id, after)
+    });
+  }
+
+  /**
+   * Put a previously removed window record back with its original
+   * position, size, z-order and data
+   * @private
+   * @param {Object} record - Window record
+   */
+  _reinsertWindow(record) {
+    if (this.getWindow(record.id)) return;
+
+    const windows = record.isFocused
+      ? this.state.windows.map(w => ({ ...w, isFocused: false }))
+      : [...this.state.windows];
+    windows.push({ ...record, _isNewlyOpened: !record.isMinimized });
+
+    this.updateState({
+      windows,
+      nextZIndex: Math.max(this.state.nextZIndex, record.zIndex + 1),
+      focusedWindowId: record.isFocused ? record.id : this.state.focusedWindowId
+    });
+    this._reflowTiling();
+  }
+
+  /**
+   * Undo the last recorded operation
+   * Windows the undo would close are asked first, like any other close
+   * @returns {Promise<boolean>} Whether anything was undone
+   */
+  undo() {
+    return this._replayHistory(() => this._history.peekUndo(), 'undoCloses', () => this._history.undo());
+  }
+
+  /**
+   * Redo the last undone operation
+   * Windows the redo would close are asked first, like any other close
+   * @returns {Promise<boolean>} Whether anything was redone
+   */
+  redo() {
+    return this._replayHistory(() => this._history.peekRedo(), 'redoCloses', () => this._history.redo());
+  }
+
+  /**
+   * Replay one history step once the close guards of the windows it closes agree
+   * Steps that close no guarded window replay right away
+   * @private
+   * @param {Function} peek - Returns the step that would be replayed
+   * @param {string} closesKey - 'undoCloses' or 'redoCloses'
+   * @param {Function} replay - Replays the step
+   * @returns {Promise<boolean>} Whether the step was replayed
+   */
+  async _replayHistory(peek, closesKey, replay) {
+    const command = peek();
+    if (!command) return false;
+
+    const guarded = (command[closesKey] || []).filter(id => this._closeGuards.has(id) && this.getWindow(id));
+    if (guarded.length > 0) {
+      const answers = await Promise.all(guarded.map(id => this._askCloseGuard(id)));
+      // History may have moved on while the apps were deciding
+      if (answers.includes(false) || peek() !== command) return false;
+    }
+
+    return replay() !== null;
+  }
+
+  canUndo() {
+    return this._history.canUndo();
+  }
+
+  canRedo() {
+    return this._history.canRedo();
+  }
+
+  /**
+   * End the current merge group so the next drag/resize becomes its own step
+   */
+  sealHistory() {
+    this._history.seal();
+  }
+
   /**
    * Open a new window
    * @param {Object} config - Window configuration
    */
   openWindow(config) {
+    this._compactZIndices();
     const id = config.id || generateWindowId();
+    const component = config.component || 'div';
+    // Explicit geometry (workspaces, imports) wins over what the app remembers,
+    // and extra instances cascade rather than stack on the open one
+    const remembered = config.position || config.size || this.findWindowByComponent(component)
+      ? null
+      : this._getRememberedGeometry(component);
+    const size = remembered ? remembered.size : this._constrainWindowSize(
+      component,
+      config.size || getAppByComponent(component)?.defaultSize ||
+        { width: WINDOW_INITIAL_WIDTH, height: WINDOW_INITIAL_HEIGHT }
+    );
+    const position = config.position || remembered?.position || this._getPlacementPosition(component, size);
+    const reopenMaximized = Boolean(remembered?.isMaximized) && getAppWindowOptions(component).maximizable;
+    const bounds = getAvailableDesktopBounds(this.state.desktopSize);
 
     const defaultWindow = {
       id,
       title: config.title || 'Untitled',
-      component: config.component || 'div',
-      position: config.position || this.getDefaultPosition(),
-      size: config.size || { width: WINDOW_INITIAL_WIDTH, height: WINDOW_INITIAL_HEIGHT },
+      component,
+      position: reopenMaximized ? { x: 0, y: 0 } : position,
+      size: reopenMaximized ? { width: bounds.width, height: bounds.height } : size,
       zIndex: this.state.nextZIndex,
       isMinimized: false,
+      isMaximized: reopenMaximized,
+      restoreGeometry: reopenMaximized ? { position, size } : null,
+      isPinned: Boolean(config.isPinned),
+      isShaded: Boolean(config.isShaded),
       isFocused: true,
       data: config.data || {},
       _isNewlyOpened: true
@@ -120,34 +415,208 @@ export class AppState {
       nextZIndex: this.state.nextZIndex + 1,
       focusedWindowId: id
     });
+    this._reflowTiling();
+
+    const record = { ...defaultWindow };
+    this._recordCommand({
+      label: 'Open window',
+      undo: () => this.closeWindow(id),
+      redo: () => this._reinsertWindow(record),
+      undoCloses: [id]
+    });
 
     return id;
   }
 
+  /**
+   * Launch an app, honouring its launch policy
+   * Reuses (focusing and restoring) an open window when the policy says so
+   * @param {string} appId - App identifier
+   * @param {Object} options
+   * @param {Object} options.args - Launch arguments, stored in the window's data
+   * @param {boolean} options.newInstance - Open another window even if one could be reused
+   *   (single-instance apps still reuse theirs)
+   * @returns {string|null} ID of the launched or reused window
+   */
+  launchApp(appId, { args = {}, newInstance = false } = {}) {
+    const app = getAppById(appId);
+    if (!app) {
+      console.warn(`Cannot launch unknown app "${appId}"`);
+      return null;
+    }
+
+    const isSingle = (app.launchPolicy || LAUNCH_POLICIES.SINGLE) === LAUNCH_POLICIES.SINGLE;
+    const existing = !newInstance || isSingle
+      ? findLaunchTarget(app, this.state.windows, args)
+      : undefined;
+
+    if (existing) {
+      this.focusWindow(existing.id);
+      return existing.id;
+    }
+
+    return this.openWindow({
+      title: this._getInstanceTitle(app, args),
+      component: app.component,
+      data: { ...app.data, ...args }
+    });
+  }
+
+  /**
+   * Title for a new window of an app: the instance key when there is one,
+   * otherwise the app name, numbered when other windows of the app are open
+   * @private
+   * @param {AppDefinition} app
+   * @param {Object} args - Launch arguments
+   * @returns {string}
+   */
+  _getInstanceTitle(app, args) {
+    const key = app.instanceKey ? args[app.instanceKey] : undefined;
+    if (typeof key === 'string' && key) {
+      return `${app.name} – ${key}`;
+    }
+
+    const titles = new Set(
+      this.state.windows.filter(w => w.component === app.component).map(w => w.title)
+    );
+    if (!titles.has(app.name)) return app.name;
+
+    let number = 2;
+    while (titles.has(`${app.name} ${number}`)) {
+      number++;
+    }
+    return `${app.name} ${number}`;
+  }
+
   /**
    * Close a window
    */
   closeWindow(id) {
-    const windows = this.state.windows.filter(w => w.id !== id);
+    const closedWindow = this.getWindow(id);
+    if (!closedWindow) return;
+
+    let windows = this.state.windows.filter(w => w.id !== id);
 
     // Focus the next highest window if the closed one was focused
     let focusedWindowId = this.state.focusedWindowId;
     if (focusedWindowId === id && windows.length > 0) {
       const nextWindow = windows.reduce((max, w) =>
         w.zIndex > max.zIndex ? w : max, windows[0]);
-      nextWindow.isFocused = true;
+      // Replace rather than mutate so per-window subscribers see the change
+      windows = windows.map(w => w === nextWindow ? { ...w, isFocused: true } : w);
       focusedWindowId = nextWindow.id;
     } else if (windows.length === 0) {
       focusedWindowId = null;
     }
 
-    this.updateState({ windows, focusedWindowId });
+    this.updateState({
+      windows,
+      focusedWindowId,
+      windowMemory: this._rememberGeometry(closedWindow)
+    });
+    this._reflowTiling();
+
+    const record = { ...closedWindow };
+    this._recordCommand({
+      label: 'Close window',
+      undo: () => this._reinsertWindow(record),
+      redo: () => this.closeWindow(id),
+      redoCloses: [id]
+    });
+  }
+
+  /**
+   * Merge an app's own state into its window's data, which is persisted with
+   * the window and handed back to the app when the window is restored
+   * Not undoable: this is app content, not window management
+   * @param {string} id - Window ID
+   * @param {Object} updates - JSON-safe values, e.g. {path, scrollTop, selectedTab}
+   */
+  updateWindowData(id, updates) {
+    const windowData = this.getWindow(id);
+    if (!windowData || !updates || typeof updates !== 'object' || Array.isArray(updates)) return;
+
+    const data = { ...windowData.data, ...updates };
+    if (shallowEqual(data, windowData.data)) return;
+
+    this.updateState({ windows: this._updateWindow(id, { data }) });
+  }
+
+  /**
+   * Let something (the window's app) veto closing a window
+   * @param {string} id - Window ID
+   * @param {Function} guard - () => boolean | Promise<boolean>; false keeps the window open
+   * @returns {Function} Removes the guard
+   */
+  setCloseGuard(id, guard) {
+    this._closeGuards.set(id, guard);
+    return () => {
+      if (this._closeGuards.get(id) === guard) {
+        this._closeGuards.delete(id);
+      }
+    };
+  }
+
+  /**
+   * Close a window once its close guard agrees
+   * Use this for user-initiated closes; repeated requests while the guard
+   * is still deciding share one answer
+   * @param {string} id - Window ID
+   * @returns {Promise<boolean>} Whether the window was closed
+   */
+  requestCloseWindow(id) {
+    if (!this.getWindow(id)) return Promise.resolve(false);
+    if (this._pendingCloses.has(id)) return this._pendingCloses.get(id);
+
+    const request = this._askCloseGuard(id)
+      .then((allowed) => {
+        // A force close may have settled this request already
+        if (this._pendingCloses.get(id) !== request) return !this.getWindow(id);
+        this._pendingCloses.delete(id);
+
+        if (allowed === false || !this.getWindow(id)) return false;
+        this.closeWindow(id);
+        return true;
+      });
+
+    this._pendingCloses.set(id, request);
+    return request;
+  }
+
+  /**
+   * Ask a window's close guard whether it may close, without closing it
+   * A guard that fails counts as a yes
+   * @private
+   * @param {string} id - Window ID
+   * @returns {Promise<boolean>}
+   */
+  _askCloseGuard(id) {
+    const guard = this._closeGuards.get(id);
+    return Promise.resolve()
+      .then(() => (guard ? guard() : true))
+      .then(allowed => allowed !== false)
+      .catch((error) => {
+        console.error('Close guard failed:', error);
+        return true;
+      });
+  }
+
+  /**
+   * Close a window without asking its app, e.g. when the app stops responding
+   * @param {string} id - Window ID
+   */
+  forceCloseWindow(id) {
+    this._pendingCloses.delete(id);
+    this.closeWindow(id);
   }
 
   /**
    * Focus a window (bring to front)
    */
   focusWindow(id) {
+    this._compactZIndices();
+    const wasMinimized = this.getWindow(id)?.isMinimized;
+
     // Unfocus all windows, then focus and restore the target
     const windows = this.state.windows.map(w => {
       if (w.id === id) {
@@ -161,6 +630,69 @@ export class AppState {
       nextZIndex: this.state.nextZIndex + 1,
       focusedWindowId: id
     });
+
+    if (wasMinimized) {
+      this._reflowTiling();
+    }
+  }
+
+  /**
+   * Renumber z-indices from Z_INDEX.WINDOW_BASE, keeping the stacking
+   * order, before the counter runs into the always-on-top layer
+   * @private
+   */
+  _compactZIndices() {
+    if (this.state.nextZIndex < Z_INDEX.WINDOW_PINNED) return;
+
+    const order = [...this.state.windows]
+      .sort((a, b) => a.zIndex - b.zIndex)
+      .map(w => w.id);
+    const windows = this.state.windows.map(w => ({
+      ...w,
+      zIndex: Z_INDEX.WINDOW_BASE + order.indexOf(w.id)
+    }));
+
+    this.updateState({ windows, nextZIndex: Z_INDEX.WINDOW_BASE + windows.length });
+  }
+
+  /**
+   * Keep a window above normal windows, or return it to the normal layer
+   * @param {string} id - Window ID
+   */
+  toggleAlwaysOnTop(id) {
+    const windowData = this.getWindow(id);
+    if (!windowData) return;
+    this._setWindowFlag(id, 'isPinned', !windowData.isPinned, 'Toggle always on top');
+  }
+
+  /**
+   * Roll a window up to its titlebar, or back down
+   * @param {string} id - Window ID
+   */
+  toggleShade(id) {
+    const windowData = this.getWindow(id);
+    if (!windowData) return;
+    this._setWindowFlag(id, 'isShaded', !windowData.isShaded, 'Toggle shade');
+  }
+
+  /**
+   * Set a boolean window flag as an undoable step
+   * @private
+   * @param {string} id - Window ID
+   * @param {string} flag - Window field, e.g. 'isPinned'
+   * @param {boolean} value - New value
+   * @param {string} label - History label
+   */
+  _setWindowFlag(id, flag, value, label) {
+    const windowData = this.getWindow(id);
+    if (!windowData || Boolean(windowData[flag]) === value) return;
+
+    this.updateState({ windows: this._updateWindow(id, { [flag]: value }) });
+    this._recordCommand({
+      label,
+      undo: () => this._setWindowFlag(id, flag, !value, label),
+      redo: () => this._setWindowFlag(id, flag, value, label)
+    });
   }
 
   /**
@@ -168,7 +700,7 @@ export class AppState {
    * @param {string} id - Window ID
    */
   minimizeWindow(id) {
-    const windows = this._updateWindow(id, {
+    let windows = this._updateWindow(id, {
       isMinimized: true,
       isFocused: false
     });
@@ -180,11 +712,12 @@ export class AppState {
     if (visibleWindows.length > 0) {
       const nextWindow = visibleWindows.reduce((max, w) =>
         w.zIndex > max.zIndex ? w : max, visibleWindows[0]);
-      nextWindow.isFocused = true;
+      windows = windows.map(w => w === nextWindow ? { ...w, isFocused: true } : w);
       focusedWindowId = nextWindow.id;
     }
 
     this.updateState({ windows, focusedWindowId });
+    this._reflowTiling();
   }
 
   /**
@@ -197,145 +730,680 @@ export class AppState {
 
   /**
    * Maximize window - resize to fill available space
+   * Toggles back to the previous geometry if already maximized
+   * @param {string} id - Window ID
+   * @param {Object} options
+   * @param {boolean} options.recordHistory - Record the change as an undoable step
    */
-  maximizeWindow(id) {
-    const windows = this._updateWindowWith(id, (w) => ({
-      ...w,
-      position: { x: 0, y: 0 }, // Top bar height
-      size: {
-        width: this.state.desktopSize.width,
-        height: this.state.desktopSize.height - 80 // Minus top and app bars
+  maximizeWindow(id, { recordHistory = true } = {}) {
+    const windowData = this.getWindow(id);
+    if (!windowData) return;
+
+    if (windowData.isMaximized) {
+      this.unmaximizeWindow(id);
+      return;
+    }
+
+    if (!getAppWindowOptions(windowData.component).maximizable) return;
+
+    const before = this._getWindowGeometry(id);
+    const { width, height } = getAvailableDesktopBounds(this.state.desktopSize);
+    const windows = this._updateWindow(id, {
+      position: { x: 0, y: 0 },
+      size: { width, height },
+      isMaximized: true,
+      restoreGeometry: {
+        position: { ...windowData.position },
+        size: { ...windowData.size }
       }
-    }));
+    });
 
     this.updateState({ windows });
+    if (recordHistory) {
+      this._recordGeometryChange(id, before, 'Maximize window');
+    }
   }
 
   /**
-   * Center window - resize to half width and center on screen
+   * Restore a maximized window to the geometry it had before maximizing
+   * @param {string} id - Window ID
+   * @param {Object} [position] - Place the restored window here instead
+   *   (used when dragging a maximized window out by its titlebar)
+   * @param {Object} options
+   * @param {boolean} options.recordHistory - Record the change as an undoable step
    */
-  centerWindow(id) {
-    const halfWidth = Math.floor(this.state.desktopSize.width / 2);
-    const centerHeight = Math.floor((this.state.desktopSize.height - 80) * 0.7);
-    const x = Math.floor((this.state.desktopSize.width - halfWidth) / 2);
-    const y = 80;
+  unmaximizeWindow(id, position = null, { recordHistory = true } = {}) {
+    const windowData = this.getWindow(id);
+    if (!windowData?.isMaximized) return;
 
+    const restoreGeometry = windowData.restoreGeometry || {
+      position: this.getDefaultPosition(),
+      size: { width: WINDOW_INITIAL_WIDTH, height: WINDOW_INITIAL_HEIGHT }
+    };
+    const before = this._getWindowGeometry(id);
     const windows = this._updateWindow(id, {
-      position: { x, y },
-      size: { width: halfWidth, height: centerHeight }
+      position: { ...(position || restoreGeometry.position) },
+      size: { ...restoreGeometry.size },
+      isMaximized: false,
+      restoreGeometry: null
     });
 
     this.updateState({ windows });
+    if (recordHistory) {
+      this._recordGeometryChange(id, before, 'Restore window');
+    }
   }
 
   /**
-   * Update window position
+   * Snap a window into a layout zone (half, quarter, third or maximize)
+   * @param {string} id - Window ID
+   * @param {string} zone - One of SNAP_ZONES
+   * @param {Object} options
+   * @param {boolean} options.recordHistory - Record the change as an undoable
+   *   step; a drag that ends in a zone records itself as a whole instead
    */
-  updateWindowPosition(id, position) {
-    const windows = this._updateWindow(id, { position });
-    this.updateState({ windows });
-  }
+  snapWindow(id, zone, { recordHistory = true } = {}) {
+    const windowData = this.getWindow(id);
+    if (!windowData) return;
+
+    if (zone === SNAP_ZONES.MAXIMIZE) {
+      if (!windowData.isMaximized) {
+        this.maximizeWindow(id, { recordHistory });
+      }
+      return;
+    }
+
+    if (!getAppWindowOptions(windowData.component).resizable) return;
+
+    const zoneBounds = getSnapZoneBounds(zone, getAvailableDesktopBounds(this.state.desktopSize));
+    if (!zoneBounds) return;
+
+    const before = this._getWindowGeometry(id);
+    const windows = this._updateWindow(id, {
+      position: zoneBounds.position,
+      size: this._constrainWindowSize(windowData.component, zoneBounds.size),
+      isMaximized: false,
+      restoreGeometry: null
+    });
 
-  /**
-   * Update window size
-   */
-  updateWindowSize(id, size) {
-    const windows = this._updateWindow(id, { size });
     this.updateState({ windows });
+    if (recordHistory) {
+      this._recordGeometryChange(id, before, 'Snap window');
+    }
   }
 
   /**
-   * Set application theme
+   * Move a window to the neighbouring snap zone (keyboard snapping)
+   * e.g. left half -> up -> top-left quarter; maximized -> down -> restored
+   * @param {string} id - Window ID
+   * @param {string} direction - 'left', 'right', 'up' or 'down'
    */
-  setTheme(theme) {
-    this.updateState({ theme });
-    document.documentElement.setAttribute('data-theme', theme);
-    this.saveToLocalStorage();
-  }
+  snapWindowInDirection(id, direction) {
+    const windowData = this.getWindow(id);
+    if (!windowData) return;
 
-  /**
-   * Update desktop size (on window resize)
-   */
-  updateDesktopSize(size) {
-    this.updateState({ desktopSize: size });
+    const bounds = getAvailableDesktopBounds(this.state.desktopSize);
+    const thirds = isThirdsLayoutAvailable(bounds, this.state.preferences.snapThirds);
+    const zone = getNextSnapZone(findSnapZone(windowData, bounds), direction, { thirds });
+
+    if (zone) {
+      this.snapWindow(id, zone);
+    } else if (windowData.isMaximized) {
+      this.unmaximizeWindow(id);
+    }
   }
 
   /**
-   * Get default window position (cascading)
+   * Visible (non-minimized) windows in opening order
+   * @private
+   * @returns {Array}
    */
-  getDefaultPosition() {
-    const offset = (this.state.windows.length * WINDOW_CASCADE_OFFSET) % WINDOW_CASCADE_MAX;
-    return {
-      x: 100 + offset,
-      y: 100 + offset
-    };
+  _getVisibleWindows() {
+    return this.state.windows.filter(w => !w.isMinimized);
   }
 
   /**
-   * Save state to local storage (debounced)
+   * Move and resize several windows at once
+   * @private
+   * @param {Array} windows - Windows to arrange
+   * @param {Array} rects - {position, size} for each window, in the same order
+   * @returns {Object} {before, after} Map of id -> geometry
    */
-  saveToLocalStorage() {
-    try {
-      const stateToSave = {
-        theme: this.state.theme,
-        windows: this.state.windows,
-        iconPositions: Array.from(this.state.iconPositions.entries())
+  _arrangeWindows(windows, rects) {
+    const before = new Map(windows.map(w => [w.id, this._getWindowGeometry(w.id)]));
+    const rectsById = new Map(windows.map((w, index) => [w.id, rects[index]]));
+
+    const arranged = this.state.windows.map(w => {
+      const rect = rectsById.get(w.id);
+      if (!rect) return w;
+      // Fixed-size windows keep their size and only move into their slot
+      const size = getAppWindowOptions(w.component).resizable
+        ? this._constrainWindowSize(w.component, rect.size)
+        : { ...w.size };
+      return {
+        ...w,
+        position: { ...rect.position },
+        size,
+        isMaximized: false,
+        restoreGeometry: null
       };
+    });
 
-      const serialized = JSON.stringify(stateToSave);
-      localStorage.setItem(STORAGE_KEY_APP_STATE, serialized);
-    } catch (error) {
-      // Handle quota exceeded or other localStorage errors
-      if (error.name === 'QuotaExceededError') {
-        console.error('LocalStorage quota exceeded. Unable to save state.');
-        // Optionally: clear old data or notify user
-      } else {
-        console.error('Failed to save state to localStorage:', error);
-      }
-    }
+    this.updateState({ windows: arranged });
+    const after = new Map(windows.map(w => [w.id, this._getWindowGeometry(w.id)]));
+    return { before, after };
   }
 
   /**
-   * Load state from local storage
+   * Arrange windows as one undoable step
+   * @private
+   * @param {Array} windows - Windows to arrange
+   * @param {Array} rects - {position, size} for each window
+   * @param {string} label - Command label
    */
-  loadFromLocalStorage() {
-    try {
-    const saved = localStorage.getItem(STORAGE_KEY_APP_STATE);
-      if (!saved) return;
+  _recordArrangement(windows, rects, label) {
+    if (windows.length === 0) return;
 
-      const parsed = JSON.parse(saved);
+    const { before, after } = this._arrangeWindows(windows, rects);
+    const apply = (geometries) => geometries.forEach((geometry, id) => this._setWindowGeometry(id, geometry));
 
-      // Validate parsed data before applying
-      if (!parsed || typeof parsed !== 'object') {
-        console.warn('Invalid state data in localStorage');
-        return;
+    this._recordCommand({
+      label,
+      undo: () => apply(before),
+      redo: () => apply(after)
+    });
+  }
+
+  /**
+   * Tile all visible windows in a grid
+   * Leaves master/stack mode, since that would immediately re-flow them;
+   * undoing brings both the mode and the old layout back
+   */
+  tileWindows() {
+    this._history.group('Tile windows', () => {
+      this.setTilingMode(TILING_MODES.NONE);
+
+      const windows = this._getVisibleWindows();
+      const bounds = getAvailableDesktopBounds(this.state.desktopSize);
+      this._recordArrangement(windows, getTileLayout(windows.length, bounds), 'Tile windows');
+    });
+  }
+
+  /**
+   * Cascade all visible windows from the top-left, keeping their stacking order
+   * Leaves master/stack mode, since that would immediately re-flow them;
+   * undoing brings both the mode and the old layout back
+   */
+  cascadeWindows() {
+    this._history.group('Cascade windows', () => {
+      this.setTilingMode(TILING_MODES.NONE);
+
+      const windows = [...this._getVisibleWindows()].sort((a, b) => a.zIndex - b.zIndex);
+      const bounds = getAvailableDesktopBounds(this.state.desktopSize);
+      this._recordArrangement(windows, getCascadeLayout(windows.length, bounds), 'Cascade windows');
+    });
+  }
+
+  /**
+   * Get the automatic tiling mode
+   * @returns {string} One of TILING_MODES
+   */
+  getTilingMode() {
+    return this.state.preferences.tilingMode;
+  }
+
+  /**
+   * Switch automatic tiling on or off
+   * In master/stack mode the newest visible window fills the left side and
+   * the rest stack on the right; opening, closing, minimizing or restoring
+   * a window re-flows them. The mode and the layout it produces are one
+   * undo step
+   * @param {string} mode - One of TILING_MODES
+   */
+  setTilingMode(mode) {
+    const previousMode = this.getTilingMode();
+    if (!Object.values(TILING_MODES).includes(mode) || mode === previousMode) return;
+
+    this._history.group('Change tiling mode', () => {
+      // Only the preference: undo restores the old geometry separately, and
+      // re-entering master/stack here would re-flow over it
+      this.setPreference('tilingMode', mode);
+      this._recordCommand({
+        label: 'Change tiling mode',
+        undo: () => this.setPreference('tilingMode', previousMode),
+        redo: () => this.setPreference('tilingMode', mode)
+      });
+
+      if (mode === TILING_MODES.MASTER_STACK) {
+        const windows = this._getMasterStackOrder();
+        const bounds = getAvailableDesktopBounds(this.state.desktopSize);
+        this._recordArrangement(windows, getMasterStackLayout(windows.length, bounds), 'Tile windows');
+      }
+    });
+  }
+
+  /**
+   * Visible windows in master/stack order: newest first
+   * @private
+   * @returns {Array}
+   */
+  _getMasterStackOrder() {
+    return [...this._getVisibleWindows()].reverse();
+  }
+
+  /**
+   * Re-flow visible windows when master/stack tiling is on
+   * Not recorded in history: the layout follows from which windows are open
+   * @private
+   */
+  _reflowTiling() {
+    if (this.getTilingMode() !== TILING_MODES.MASTER_STACK) return;
+
+    const windows = this._getMasterStackOrder();
+    if (windows.length === 0) return;
+
+    const bounds = getAvailableDesktopBounds(this.state.desktopSize);
+    this._arrangeWindows(windows, getMasterStackLayout(windows.length, bounds));
+  }
+
+  /**
+   * Center window - resize to half width and center on screen
+   */
+  centerWindow(id) {
+    const windowData = this.getWindow(id);
+    if (!windowData) return;
+
+    const halfWidth = Math.floor(this.state.desktopSize.width / 2);
+    const centerHeight = Math.floor((this.state.desktopSize.height - 80) * 0.7);
+    const size = getAppWindowOptions(windowData.component).resizable
+      ? this._constrainWindowSize(windowData.component, { width: halfWidth, height: centerHeight })
+      : { ...windowData.size };
+    const x = Math.floor((this.state.desktopSize.width - size.width) / 2);
+    const y = 80;
+    const before = this._getWindowGeometry(id);
+
+    const windows = this._updateWindow(id, {
+      position: { x, y },
+      size,
+      isMaximized: false,
+      restoreGeometry: null
+    });
+
+    this.updateState({ windows });
+    this._recordGeometryChange(id, before, 'Center window');
+  }
+
+  /**
+   * Update window position
+   * @param {string} id - Window ID
+   * @param {Object} position - {x, y}
+   * @param {Object} options
+   * @param {boolean} options.recordHistory - Record the change as an undoable step
+   */
+  updateWindowPosition(id, position, { recordHistory = true } = {}) {
+    const before = this._getWindowGeometry(id);
+    const windows = this._updateWindow(id, { position });
+    this.updateState({ windows });
+    if (recordHistory) {
+      this._recordGeometryChange(id, before, 'Move window', true);
+    }
+  }
+
+  /**
+   * Update window size
+   * @param {string} id - Window ID
+   * @param {Object} size - {width, height}
+   * @param {Object} options
+   * @param {boolean} options.recordHistory - Record the change as an undoable step
+   */
+  updateWindowSize(id, size, { recordHistory = true } = {}) {
+    const before = this._getWindowGeometry(id);
+    const windows = this._updateWindow(id, { size });
+    this.updateState({ windows });
+    if (recordHistory) {
+      this._recordGeometryChange(id, before, 'Resize window', true);
+    }
+  }
+
+  /**
+   * Get a copy of a window's geometry, e.g. to put it back after a
+   * cancelled interaction
+   * @param {string} id - Window ID
+   * @returns {Object|null} {position, size, isMaximized, restoreGeometry}
+   */
+  getWindowGeometry(id) {
+    return this._getWindowGeometry(id);
+  }
+
+  /**
+   * Put a window back to geometry captured with getWindowGeometry
+   * Not recorded: the interaction being cancelled never made it into history
+   * @param {string} id - Window ID
+   * @param {Object} geometry - {position, size, isMaximized, restoreGeometry}
+   */
+  restoreWindowGeometry(id, geometry) {
+    this._setWindowGeometry(id, geometry);
+  }
+
+  /**
+   * Record unrecorded geometry changes made since `before` as one undo step
+   * @param {string} id - Window ID
+   * @param {Object} before - Geometry captured with getWindowGeometry
+   * @param {string} label - Undo step label
+   */
+  recordWindowGeometryChange(id, before, label) {
+    this._recordGeometryChange(id, before, label);
+  }
+
+  /**
+   * Set application theme
+   */
+  setTheme(theme) {
+    const previousTheme = this.state.theme;
+    this.updateState({ theme });
+    document.documentElement.setAttribute('data-theme', theme);
+    this.saveToStorage();
+
+    if (previousTheme !== theme) {
+      this._recordCommand({
+        label: 'Change theme',
+        undo: () => this.setTheme(previousTheme),
+        redo: () => this.setTheme(theme)
+      });
+    }
+  }
+
+  /**
+   * Update desktop size (on window resize)
+   */
+  updateDesktopSize(size) {
+    const previousBounds = getAvailableDesktopBounds(this.state.desktopSize);
+    this.updateState({ desktopSize: size });
+    this._reflowDesktop(previousBounds);
+    this._reflowTiling();
+  }
+
+  /**
+   * Keep windows reachable after the desktop changes size
+   * Maximized and snapped windows keep filling their zone and other windows
+   * keep part of themselves visible. Icons are laid out for display by the
+   * icon grid and keep their stored positions. The result depends on this
+   * tab's viewport, so it is neither recorded in history nor shared with
+   * other tabs
+   * @private
+   * @param {Object} previousBounds - Available bounds before the change
+   */
+  _reflowDesktop(previousBounds) {
+    const bounds = getAvailableDesktopBounds(this.state.desktopSize);
+    let windowsChanged = false;
+    const windows = this.state.windows.map(w => {
+      const geometry = this._fitWindowToBounds(w, previousBounds, bounds);
+      if (isSameGeometry(geometry, w) && isSameGeometry(geometry.restoreGeometry, w.restoreGeometry)) {
+        return w;
       }
+      windowsChanged = true;
+      return { ...w, ...geometry };
+    });
+    if (windowsChanged) {
+      this.updateState({ windows }, { broadcast: false });
+    }
+  }
 
-      // Apply theme if valid
-      if (parsed.theme && Object.values(THEMES).includes(parsed.theme)) {
-        this.state.theme = parsed.theme;
-        document.documentElement.setAttribute('data-theme', parsed.theme);
+  /**
+   * Geometry a window should have on a resized desktop
+   * @private
+   * @param {Object} windowData - Window record
+   * @param {Object} previousBounds - Available bounds before the change
+   * @param {Object} bounds - Available bounds now
+   * @returns {Object} {position, size, restoreGeometry}
+   */
+  _fitWindowToBounds(windowData, previousBounds, bounds) {
+    if (windowData.isMaximized) {
+      const restoreGeometry = windowData.restoreGeometry
+        ? normalizeWindowBounds(windowData.restoreGeometry, bounds)
+        : null;
+      return {
+        position: { x: 0, y: 0 },
+        size: { width: bounds.width, height: bounds.height },
+        restoreGeometry: restoreGeometry && { position: restoreGeometry.position, size: restoreGeometry.size }
+      };
+    }
+
+    const zone = findSnapZone(windowData, previousBounds);
+    if (zone) {
+      const zoneBounds = getSnapZoneBounds(zone, bounds);
+      return {
+        position: zoneBounds.position,
+        size: this._constrainWindowSize(windowData.component, zoneBounds.size),
+        restoreGeometry: null
+      };
+    }
+
+    const { position, size } = normalizeWindowBounds(windowData, bounds);
+    return { position, size, restoreGeometry: null };
+  }
+
+  /**
+   * Get default window position (cascading)
+   */
+  getDefaultPosition() {
+    const offset = (this.state.windows.length * WINDOW_CASCADE_OFFSET) % WINDOW_CASCADE_MAX;
+    return {
+      x: 100 + offset,
+      y: 100 + offset
+    };
+  }
+
+  /**
+   * Clamp a size to the app's constraints and the available desktop
+   * @private
+   * @param {string} component - Component name
+   * @param {Object} size - {width, height}
+   * @returns {Object} {width, height}
+   */
+  _constrainWindowSize(component, size) {
+    const { minSize, maxSize, aspectRatio } = getAppWindowOptions(component);
+    const bounds = getAvailableDesktopBounds(this.state.desktopSize);
+
+    return constrainSize(size, minSize, {
+      width: Math.min(maxSize.width, bounds.width),
+      height: Math.min(maxSize.height, bounds.height)
+    }, aspectRatio);
+  }
+
+  /**
+   * Position for a new window according to the app's placement
+   * @private
+   * @param {string} component - Component name
+   * @param {Object} size - Window size {width, height}
+   * @returns {Object} {x, y}
+   */
+  _getPlacementPosition(component, size) {
+    const { placement } = getAppWindowOptions(component);
+
+    if (placement === WINDOW_PLACEMENTS.CENTER) {
+      const bounds = getAvailableDesktopBounds(this.state.desktopSize);
+      return {
+        x: Math.max(0, Math.floor((bounds.width - size.width) / 2)),
+        y: Math.max(0, Math.floor((bounds.height - size.height) / 2))
+      };
+    }
+
+    // Remembered placement falls back to cascading when there is nothing to recall
+    return this.getDefaultPosition();
+  }
+
+  /**
+   * Geometry an app was last closed with, fitted to the current desktop
+   * @private
+   * @param {string} component - Component name
+   * @returns {Object|null} {position, size, isMaximized}, or null if nothing applies
+   */
+  _getRememberedGeometry(component) {
+    const app = getAppByComponent(component);
+    if (!app || getAppWindowOptions(component).placement !== WINDOW_PLACEMENTS.REMEMBERED) return null;
+
+    const memory = this.state.windowMemory[app.id];
+    if (!memory) return null;
+
+    // The desktop may have shrunk since the app was closed
+    const { position, size } = normalizeWindowBounds(
+      { position: memory.position, size: this._constrainWindowSize(component, memory.size) },
+      getAvailableDesktopBounds(this.state.desktopSize)
+    );
+    return { position, size, isMaximized: memory.isMaximized };
+  }
+
+  /**
+   * Window memory updated with a window's current geometry
+   * Maximized windows remember the geometry they restore to
+   * @private
+   * @param {Object} windowData - Window record
+   * @returns {Object} New window memory
+   */
+  _rememberGeometry(windowData) {
+    const app = getAppByComponent(windowData.component);
+    if (!app) return this.state.windowMemory;
+
+    const { position, size } = windowData.restoreGeometry || windowData;
+    return {
+      ...this.state.windowMemory,
+      [app.id]: {
+        position: { ...position },
+        size: { ...size },
+        isMaximized: Boolean(windowData.isMaximized)
+      }
+    };
+  }
+
+  /**
+   * Forget the geometry of every app so they open at their defaults again
+   */
+  resetWindowMemory() {
+    this.updateState({ windowMemory: {} });
+  }
+
+  /**
+   * Save state to storage
+   * Writes are queued so they never interleave
+   * @returns {Promise<void>}
+   */
+  saveToStorage() {
+    this._saveChain = this._saveChain.then(() => this._writeState());
+    return this._saveChain;
+  }
+
+  /**
+   * Serialize and write state, falling back to another backend when full
+   * @private
+   */
+  async _writeState() {
+    await this.ready;
+
+    try {
+      const payload = serializeState(this.state, this._revisions);
+
+      // Never overwrite a slice another tab saved more recently
+      const stored = await this._readStoredPayload();
+      if (stored) {
+        this._mergeNewerSlices(payload, stored);
       }
 
-      // Restore icon positions if they exist
-      if (parsed.iconPositions && Array.isArray(parsed.iconPositions)) {
-        this.state.iconPositions = new Map(parsed.iconPositions);
+      await this.storage.setItem(STORAGE_KEY_APP_STATE, JSON.stringify(payload));
+      await this._recordFallback();
+    } catch (error) {
+      if (error.name === 'QuotaExceededError' && this._fallBackStorage()) {
+        console.warn(`Storage quota exceeded. Saving to ${this.storage.name} storage instead.`);
+        await this._writeState();
+      } else {
+        console.error(`Failed to save state to ${this.storage.name} storage:`, error);
       }
+    }
+  }
 
-      this.state.windows = parsed.windows
+  /**
+   * Load state from storage
+   * Slices changed locally while loading keep their local value
+   * @returns {Promise<void>}
+   */
+  async loadFromStorage() {
+    let saved;
+    try {
+      saved = await this.storage.getItem(STORAGE_KEY_APP_STATE);
+    } catch (error) {
+      console.error(`Failed to read from ${this.storage.name} storage:`, error);
+      if (this._fallBackStorage()) {
+        return this.loadFromStorage();
+      }
+      return;
+    }
+
+    if (!saved) return;
+
+    try {
+      // Upgrade older payloads to the current schema version
+      const migrated = migrateState(JSON.parse(saved));
+      if (!migrated) {
+        console.warn('Invalid state data in storage');
+        return;
+      }
+
+      // Each slice is validated and clamped; corrupt windows are dropped individually
+      const revisions = sanitizeRevisions(migrated.revisions);
+      PERSISTED_SLICES.forEach(slice => {
+        this._applyStoredSlice(slice, migrated[slice], Math.max(revisions[slice], 1));
+      });
 
+      // Saved on a different screen size, perhaps
+      const bounds = getAvailableDesktopBounds(this.state.desktopSize);
+      this._reflowDesktop(bounds);
     } catch (error) {
-      console.error('Failed to load state from localStorage:', error);
+      console.error('Failed to load state from storage:', error);
       // Clear corrupted data
       try {
-        localStorage.removeItem(STORAGE_KEY_APP_STATE);
+        await this.storage.removeItem(STORAGE_KEY_APP_STATE);
       } catch (clearError) {
-        // localStorage might be completely unavailable
-        console.error('Failed to clear corrupted localStorage:', clearError);
+        // Storage might be completely unavailable
+        console.error('Failed to clear corrupted storage:', clearError);
       }
     }
   }
 
+  /**
+   * Switch to the next available storage backend
+   * @private
+   * @returns {boolean} Whether a different backend was found
+   */
+  _fallBackStorage() {
+    if (this.storage.name === STORAGE_BACKENDS.MEMORY) return false;
+
+    this._failedBackends.push(this.storage.name);
+    this._staleStorage = this.storage;
+    this.storage = createStorageAdapter(undefined, this._failedBackends);
+    return true;
+  }
+
+  /**
+   * After the first save to a fallback backend, drop the copy left in the old
+   * one and record the new backend so the next load doesn't read stale state
+   * Memory doesn't survive a reload, so falling back to it isn't recorded
+   * @private
+   */
+  async _recordFallback() {
+    if (!this._staleStorage || this.storage.name === STORAGE_BACKENDS.MEMORY) return;
+
+    const staleStorage = this._staleStorage;
+    this._staleStorage = null;
+    try {
+      await staleStorage.removeItem(STORAGE_KEY_APP_STATE);
+    } catch (error) {
+      console.warn(`Could not clear old state from ${staleStorage.name} storage:`, error);
+    }
+    if (!writeBackendMarker(this.storage.name)) {
+      console.warn(`Could not record the switch to ${this.storage.name} storage`);
+    }
+  }
+
   /**
    * Setup auto-save on state changes (debounced)
    */
@@ -343,9 +1411,452 @@ export class AppState {
     this.subscribe(() => {
       clearTimeout(this._saveTimeout);
       this._saveTimeout = setTimeout(() => {
-        this.saveToLocalStorage();
-      }, 1000);
+        this._saveTimeout = null;
+        this.saveToStorage();
+      }, DEBOUNCE_AUTOSAVE);
+    });
+
+    // Don't lose the last second of changes (e.g. app data) on reload.
+    // Hiding the page comes before unloading it and leaves more time than
+    // pagehide, but an IndexedDB write may still not finish before the tab goes
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden' && this._saveTimeout) {
+        clearTimeout(this._saveTimeout);
+        this._saveTimeout = null;
+        this.saveToStorage();
+      }
+    });
+  }
+
+  /**
+   * Read and migrate the payload currently in storage
+   * @private
+   * @returns {Promise<Object|null>} Current-version payload
+   */
+  async _readStoredPayload() {
+    try {
+      const saved = await this.storage.getItem(STORAGE_KEY_APP_STATE);
+      return saved ? migrateState(JSON.parse(saved)) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Keep stored slices that are newer than ours, adopting shared ones locally
+   * @private
+   * @param {Object} payload - Payload about to be written
+   * @param {Object} stored - Payload currently in storage
+   */
+  _mergeNewerSlices(payload, stored) {
+    const storedRevisions = sanitizeRevisions(stored.revisions);
+
+    PERSISTED_SLICES.forEach(slice => {
+      if (storedRevisions[slice] <= payload.revisions[slice]) return;
+
+      payload[slice] = stored[slice];
+      payload.revisions[slice] = storedRevisions[slice];
+      this._applyRemoteSlice(slice, stored[slice], storedRevisions[slice]);
+    });
+  }
+
+  /**
+   * Connect to other tabs and apply their changes as they happen
+   */
+  setupTabSync() {
+    this._tabSync = new TabSync();
+    this._tabSync.subscribe((message) => {
+      if (message.type !== 'state' || !message.slices || !message.revisions) return;
+
+      Object.entries(message.slices).forEach(([slice, value]) => {
+        this._applyRemoteSlice(slice, value, message.revisions[slice]);
+      });
+    });
+  }
+
+  /**
+   * Check whether a slice is shared with other tabs
+   * @private
+   * @param {string} slice - Slice name
+   * @returns {boolean}
+   */
+  _isSharedSlice(slice) {
+    return SHARED_SLICES.includes(slice) ||
+      (slice === 'windows' && this.state.preferences.mirrorWindows);
+  }
+
+  /**
+   * Get the next revision: wall-clock time, but always ahead of every known revision
+   * @private
+   * @returns {number}
+   */
+  _nextRevision() {
+    return Math.max(Date.now(), ...Object.values(this._revisions).map(r => r + 1));
+  }
+
+  /**
+   * Bump revisions for locally changed slices and queue them for broadcast
+   * @private
+   * @param {string[]} keys - Changed state keys
+   */
+  _touchSlices(keys) {
+    const slices = keys.filter(key => PERSISTED_SLICES.includes(key));
+    if (slices.length === 0) return;
+
+    const revision = this._nextRevision();
+    slices.forEach(slice => {
+      this._revisions[slice] = revision;
+      this._pendingBroadcast.add(slice);
+    });
+
+    // Coalesce bursts of updates (e.g. dragging) into one message
+    if (!this._broadcastScheduled) {
+      this._broadcastScheduled = true;
+      queueMicrotask(() => this._flushBroadcast());
+    }
+  }
+
+  /**
+   * Send pending shared slices to other tabs
+   * @private
+   */
+  _flushBroadcast() {
+    this._broadcastScheduled = false;
+    const slices = {};
+    const revisions = {};
+
+    this._pendingBroadcast.forEach(slice => {
+      if (!this._isSharedSlice(slice)) return;
+      slices[slice] = serializeSlice(this.state, slice);
+      revisions[slice] = this._revisions[slice];
+    });
+    this._pendingBroadcast.clear();
+
+    if (Object.keys(slices).length > 0 && this._tabSync) {
+      this._tabSync.post({ type: 'state', slices, revisions });
+    }
+  }
+
+  /**
+   * Apply a slice received from another tab if it is newer than ours
+   * @private
+   * @param {string} slice - Slice name
+   * @param {*} value - Serialized slice value
+   * @param {number} revision - Revision of the incoming value
+   */
+  _applyRemoteSlice(slice, value, revision) {
+    // Windows stay per-tab unless mirroring is enabled here too
+    if (!this._isSharedSlice(slice)) return;
+
+    this._applyStoredSlice(slice, value, revision);
+
+    // The other tab may have a larger viewport
+    const bounds = getAvailableDesktopBounds(this.state.desktopSize);
+    this._reflowDesktop(bounds);
+  }
+
+  /**
+   * Apply a serialized slice if it is newer than ours, without bumping revisions
+   * @private
+   * @param {string} slice - Slice name
+   * @param {*} value - Serialized slice value
+   * @param {number} revision - Revision of the incoming value
+   */
+  _applyStoredSlice(slice, value, revision) {
+    if (!PERSISTED_SLICES.includes(slice)) return;
+    if (!(revision > this._revisions[slice])) return;
+
+    const updates = restoreSlice(slice, value, this.state.desktopSize);
+    if (!updates) return;
+
+    this._revisions[slice] = revision;
+    this._isApplyingRemote = true;
+    try {
+      this.updateState(updates);
+    } finally {
+      this._isApplyingRemote = false;
+    }
+
+    if (updates.theme) {
+      document.documentElement.setAttribute('data-theme', updates.theme);
+    }
+  }
+
+  /**
+   * Get desktop preferences
+   */
+  getPreferences() {
+    return this.state.preferences;
+  }
+
+  /**
+   * Set a desktop preference (synced to other tabs)
+   * @param {string} key - Preference name
+   * @param {*} value - Preference value
+   */
+  setPreference(key, value) {
+    this.updateState({
+      preferences: { ...this.state.preferences, [key]: value }
+    });
+
+    // Share this tab's layout as soon as mirroring is turned on
+    if (key === 'mirrorWindows' && value) {
+      this._touchSlices(['windows']);
+    }
+
+    this.saveToStorage();
+  }
+
+  /**
+   * List saved workspaces, most recently saved first
+   * @returns {Object[]}
+   */
+  listWorkspaces() {
+    return [...this.state.workspaces].sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Get a saved workspace by name
+   * @param {string} name - Workspace name
+   * @returns {Object|undefined}
+   */
+  getWorkspace(name) {
+    return this.state.workspaces.find(w => w.name === name);
+  }
+
+  /**
+   * Save the current windows, icon positions and theme as a named workspace
+   * Saving under an existing name replaces that workspace
+   * @param {string} name - Workspace name
+   * @returns {Object|null} The saved workspace
+   */
+  saveWorkspace(name) {
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    if (!trimmedName) return null;
+
+    const [workspace] = sanitizeWorkspaces([{
+      name: trimmedName,
+      savedAt: Date.now(),
+      theme: this.state.theme,
+      windows: this.state.windows.map(toWindowLayout),
+      iconPositions: Array.from(this.state.iconPositions.entries())
+    }]);
+
+    this.updateState({
+      workspaces: [
+        ...this.state.workspaces.filter(w => w.name !== trimmedName),
+        workspace
+      ]
+    });
+    this.saveToStorage();
+
+    return workspace;
+  }
+
+  /**
+   * Delete a saved workspace
+   * @param {string} name - Workspace name
+   */
+  deleteWorkspace(name) {
+    if (!this.getWorkspace(name)) return;
+
+    this.updateState({
+      workspaces: this.state.workspaces.filter(w => w.name !== name)
     });
+    this.saveToStorage();
+  }
+
+  /**
+   * Replace the desktop with a saved workspace
+   * Windows are reopened through openWindow so they animate and take focus
+   * as usual; the whole restore is a single undo step
+   * @param {string} name - Workspace name
+   * @returns {Promise<boolean>} Whether the workspace was restored; false
+   *   when it doesn't exist or an open window refused to close
+   */
+  async restoreWorkspace(name) {
+    const workspace = this.getWorkspace(name);
+    if (!workspace) return false;
+
+    return this._applyLayout(workspace, `Restore workspace "${name}"`);
+  }
+
+  /**
+   * Ask every open window's close guard, including windows opened while
+   * waiting for an answer
+   * @private
+   * @returns {Promise<boolean>} Whether all of them may close
+   */
+  async _askAllCloseGuards() {
+    const asked = new Set();
+    let pending = this.state.windows;
+    while (pending.length > 0) {
+      pending.forEach(w => asked.add(w.id));
+      const answers = await Promise.all(pending.map(w => this._askCloseGuard(w.id)));
+      if (answers.includes(false)) return false;
+      pending = this.state.windows.filter(w => !asked.has(w.id));
+    }
+    return true;
+  }
+
+  /**
+   * Replace open windows, icon positions and theme with a saved layout
+   * Every open window's close guard is asked first and nothing changes if
+   * one refuses. Windows are reopened through openWindow; the change is one
+   * undo step
+   * @private
+   * @param {Object} layout - {windows, iconPositions, theme} as stored in a workspace
+   * @param {string} label - Undo step label
+   * @param {Function} [apply] - Extra changes to record in the same undo step
+   * @returns {Promise<boolean>} Whether the layout was applied
+   */
+  async _applyLayout(layout, label, apply) {
+    if (!(await this._askAllCloseGuards())) return false;
+
+    this._history.group(label, () => {
+      [...this.state.windows].forEach(w => this.closeWindow(w.id));
+
+      const bounds = getAvailableDesktopBounds(this.state.desktopSize);
+
+      // Open bottom-most first so the saved stacking order is reproduced
+      [...layout.windows]
+        .sort((a, b) => a.zIndex - b.zIndex)
+        .forEach(windowLayout => {
+          // Maximized windows open at their restore geometry, then maximize
+          // to fit this desktop
+          const { position, size } = normalizeWindowBounds(
+            windowLayout.restoreGeometry || windowLayout,
+            bounds
+          );
+          const id = this.openWindow({
+            title: windowLayout.title,
+            component: windowLayout.component,
+            position,
+            size,
+            isPinned: windowLayout.isPinned,
+            isShaded: windowLayout.isShaded,
+            data: structuredClone(windowLayout.data)
+          });
+
+          if (windowLayout.isMaximized) {
+            this.maximizeWindow(id);
+          }
+
+          if (windowLayout.isMinimized) {
+            this.minimizeWindow(id);
+            this._recordCommand({
+              label: 'Minimize window',
+              undo: () => this.focusWindow(id),
+              redo: () => this.minimizeWindow(id)
+            });
+          }
+        });
+
+      if (layout.iconPositions.length > 0) {
+        this.setIconPositions(new Map(layout.iconPositions));
+      }
+      if (layout.theme) {
+        this.setTheme(layout.theme);
+      }
+      apply?.();
+    });
+    return true;
+  }
+
+  /**
+   * Serialize the full desktop (theme, windows, icons, preferences, workspaces)
+   * @returns {Object} JSON-safe export payload
+   */
+  exportState() {
+    return {
+      format: EXPORT_FORMAT,
+      exportedAt: new Date().toISOString(),
+      ...serializeState(this.state, this._revisions)
+    };
+  }
+
+  /**
+   * Download the exported desktop as a JSON file
+   * @param {string} filename - File name for the download
+   */
+  exportToFile(filename = `portfolio-os-${new Date().toISOString().slice(0, 10)}.json`) {
+    downloadJson(this.exportState(), filename);
+  }
+
+  /**
+   * Validate an export payload and describe what importing it would change
+   * Nothing is applied
+   * @param {Object} data - Parsed export file
+   * @returns {Object} {valid, errors, warnings, changes, payload}
+   */
+  previewImport(data) {
+    return buildImportPreview(data, this.state);
+  }
+
+  /**
+   * Import an export payload, replacing the current desktop
+   * @param {Object} data - Parsed export file
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Only validate and preview
+   * @returns {Promise<Object>} The preview; `applied` tells whether anything
+   *   changed, which it doesn't if an open window refused to close
+   */
+  async importState(data, { dryRun = false } = {}) {
+    const preview = this.previewImport(data);
+    if (!preview.valid || dryRun) {
+      return { ...preview, applied: false };
+    }
+
+    const { payload } = preview;
+    // One undo step reverts the whole import, settings included
+    const applied = await this._applyLayout(payload, 'Import desktop', () => {
+      this._replaceSettings(payload.preferences, payload.workspaces);
+    });
+    if (applied) {
+      this.saveToStorage();
+    }
+
+    return { ...preview, applied };
+  }
+
+  /**
+   * Replace preferences and workspaces as an undoable step
+   * @private
+   * @param {Object} preferences - Desktop preferences
+   * @param {Object[]} workspaces - Saved workspaces
+   */
+  _replaceSettings(preferences, workspaces) {
+    const previousPreferences = this.state.preferences;
+    const previousWorkspaces = this.state.workspaces;
+
+    this.updateState({ preferences, workspaces });
+    this._recordCommand({
+      label: 'Replace settings',
+      undo: () => this._replaceSettings(previousPreferences, previousWorkspaces),
+      redo: () => this._replaceSettings(preferences, workspaces)
+    });
+  }
+
+  /**
+   * Read, validate and optionally import an export file
+   * @param {File} file - File chosen by the user
+   * @param {Object} options - Same as importState
+   * @returns {Promise<Object>} The preview/import result
+   */
+  async importFromFile(file, options = {}) {
+    try {
+      return await this.importState(await readJsonFile(file), options);
+    } catch (error) {
+      console.error('Failed to read import file:', error);
+      return {
+        valid: false,
+        errors: ['The file is not valid JSON'],
+        warnings: [],
+        changes: [],
+        payload: null,
+        applied: false
+      };
+    }
   }
 
   /**
@@ -369,6 +1880,43 @@ export class AppState {
     return this.state.windows.find(w => w.isFocused);
   }
 
+  /**
+   * Get windows in most-recently-used order, minimized ones included
+   * @returns {Object[]}
+   */
+  getWindowsByRecentUse() {
+    return this.state.focusHistory.map(id => this.getWindow(id));
+  }
+
+  /**
+   * Focus history after a state update: the focused window first, then the
+   * rest in the order they last had focus. Closed windows drop out
+   * @private
+   * @param {Object} updates - Pending state updates
+   * @returns {string[]} Window ids
+   */
+  _getNextFocusHistory(updates) {
+    const windows = updates.windows || this.state.windows;
+    const focusedWindowId = 'focusedWindowId' in updates
+      ? updates.focusedWindowId
+      : this.state.focusedWindowId;
+    const ids = new Set(windows.map(w => w.id));
+
+    const history = this.state.focusHistory.filter(id => ids.has(id) && id !== focusedWindowId);
+    if (ids.has(focusedWindowId)) {
+      history.unshift(focusedWindowId);
+    }
+
+    // Windows that never had focus here (e.g. restored from storage) go last, topmost first
+    const known = new Set(history);
+    windows
+      .filter(w => !known.has(w.id))
+      .sort((a, b) => b.zIndex - a.zIndex)
+      .forEach(w => history.push(w.id));
+
+    return shallowEqual(history, this.state.focusHistory) ? this.state.focusHistory : history;
+  }
+
   /**
    * Find window by component type
    */
@@ -386,11 +1934,23 @@ export class AppState {
   /**
    * Set icon positions
    * @param {Map} positions - Map of appId -> {x, y}
+   * @param {Object} options
+   * @param {boolean} options.recordHistory - Record the change as an undoable step
    */
-  setIconPositions(positions) {
-    this.state.iconPositions = new Map(positions);
-    this.notify();
-    this.saveToLocalStorage();
+  setIconPositions(positions, { recordHistory = true } = {}) {
+    const previousPositions = new Map(this.state.iconPositions);
+    const nextPositions = new Map(positions);
+
+    this.updateState({ iconPositions: new Map(nextPositions) });
+    this.saveToStorage();
+
+    if (recordHistory) {
+      this._recordCommand({
+        label: 'Move icons',
+        undo: () => this.setIconPositions(previousPositions),
+        redo: () => this.setIconPositions(nextPositions)
+      });
+    }
   }
 
   /**
@@ -399,8 +1959,9 @@ export class AppState {
    * @param {Object} position - {x, y}
    */
   updateIconPosition(appId, position) {
-    this.state.iconPositions.set(appId, position);
-    this.notify();
+    const iconPositions = new Map(this.state.iconPositions);
+    iconPositions.set(appId, position);
+    this.updateState({ iconPositions });
   }
 
   /**
@@ -415,16 +1976,14 @@ export class AppState {
    * @param {Set} icons - Set of appId strings
    */
   setSelectedIcons(icons) {
-    this.state.selectedIcons = new Set(icons);
-    this.notify();
+    this.updateState({ selectedIcons: new Set(icons) });
   }
 
   /**
    * Clear selected icons
    */
   clearSelectedIcons() {
-    this.state.selectedIcons.clear();
-    this.notify();
+    this.updateState({ selectedIcons: new Set() });
   }
 }
 
@@ -87,3 +87,42 @@ export function getRestoreAnimationOptions() {
     fill: 'forwards'
   };
 }
+
+/**
+ * Create keyframes that fly an element from another rect into its own
+ * Used by the window overview to move tiles out of their windows
+ * @param {Object} from - {position, size} to start from
+ * @param {Object} to - {position, size} the element is laid out at
+ * @returns {Keyframe[]} Animation keyframes
+ */
+export function getOverviewKeyframes(from, to) {
+  const translateX = from.position.x - to.position.x;
+  const translateY = from.position.y - to.position.y;
+  const scaleX = from.size.width / to.size.width;
+  const scaleY = from.size.height / to.size.height;
+
+  return [
+    {
+      transform: `translate(${translateX}px, ${translateY}px) scale(${scaleX}, ${scaleY})`,
+      transformOrigin: 'top left',
+      offset: 0
+    },
+    {
+      transform: 'translate(0, 0) scale(1, 1)',
+      transformOrigin: 'top left',
+      offset: 1
+    }
+  ];
+}
+
+/**
+ * Get overview animation options
+ * @returns {KeyframeAnimationOptions}
+ */
+export function getOverviewAnimationOptions() {
+  return {
+    duration: getAnimationDuration(ANIMATION.OVERVIEW_DURATION),
+    easing: ANIMATION.OVERVIEW_EASING,
+    fill: 'backwards'
+  };
+}
@@ -0,0 +1,54 @@
+/**
+ * App Lifecycle
+ * Contract between a window and the app component it renders
+ */
+
+/**
+ * Optional methods an app component can implement. The window calls them in
+ * this order over a window's life:
+ * onLaunch, then onFocus / onBlur, onMinimize / onRestore and onResize as
+ * they happen, then beforeClose when the user asks to close the window
+ * @typedef {Object} AppLifecycle
+ * @property {function(Object): void} [onLaunch] - Rendered for the first time; receives the window's data (launch arguments)
+ * @property {function(): void} [onFocus] - Window became the focused window
+ * @property {function(): void} [onBlur] - Window lost focus
+ * @property {function(): void} [onMinimize] - Window was minimized
+ * @property {function(): void} [onRestore] - Window came back from minimized
+ * @property {function(Object): void} [onResize] - Window got a new size {width, height}
+ * @property {function(): (boolean|Promise<boolean>)} [beforeClose] - Return (or resolve to)
+ *   false to keep the window open, e.g. after asking about unsaved changes
+ */
+
+/**
+ * Call a lifecycle hook if the app implements it
+ * A throwing hook is logged so it can't break the window
+ * @param {Element} element - App component
+ * @param {string} hook - Hook name, e.g. 'onFocus'
+ * @param {...*} args - Hook arguments
+ */
+export function callLifecycleHook(element, hook, ...args) {
+  if (typeof element?.[hook] !== 'function') return;
+
+  try {
+    element[hook](...args);
+  } catch (error) {
+    console.error(`${element.localName} ${hook} failed:`, error);
+  }
+}
+
+/**
+ * Ask an app whether its window may close
+ * Apps without beforeClose, and apps whose beforeClose fails, may close
+ * @param {Element} element - App component
+ * @returns {Promise<boolean>}
+ */
+export async function canAppClose(element) {
+  if (typeof element?.beforeClose !== 'function') return true;
+
+  try {
+    return (await element.beforeClose()) !== false;
+  } catch (error) {
+    console.error(`${element.localName} beforeClose failed:`, error);
+    return true;
+  }
+}
@@ -1,30 +1,55 @@
 /**
  * App Registry
- * Central registry of all available desktop applications
+ * Central registry of desktop applications
+ * Built-in apps are registered on load; plugins add or remove apps at
+ * runtime with registerApp / unregisterApp
  */
 
+import { WINDOW_MIN_WIDTH, WINDOW_MIN_HEIGHT, WINDOW_PLACEMENTS, LAUNCH_POLICIES } from './constants.js';
+
 /**
  * App definition structure:
  * @typedef {Object} AppDefinition
  * @property {string} id - Unique identifier
  * @property {string} name - Display name
  * @property {string} icon - Icon (emoji or path)
- * @property {string} component - Component type to render
+ * @property {string} component - Custom element tag name the window renders
+ * @property {Function} [load] - Loads the module that defines the component, e.g. () => import('../apps/notes-app.js')
  * @property {string} category - App category
  * @property {Object} defaultSize - Default window size
  * @property {string} description - Accessibility description
  * @property {Object} data - Additional app-specific data
+ * @property {Object} [minSize] - Smallest window size {width, height}
+ * @property {Object} [maxSize] - Largest window size {width, height}
+ * @property {number} [aspectRatio] - Locked width / height ratio
+ * @property {boolean} [resizable=true] - Whether the window can be resized
+ * @property {boolean} [maximizable=true] - Whether the window can be maximized
+ * @property {string} [placement='remembered'] - Where new windows open (see WINDOW_PLACEMENTS)
+ * @property {string} [launchPolicy='single'] - Whether launching reuses an open window (see LAUNCH_POLICIES)
+ * @property {string} [instanceKey] - Launch argument that identifies a window of a 'keyed' app, e.g. 'path'
+ */
+
+/**
+ * Window options for an app, with defaults filled in:
+ * @typedef {Object} AppWindowOptions
+ * @property {Object} minSize - {width, height}
+ * @property {Object} maxSize - {width, height}
+ * @property {number|null} aspectRatio - Width / height, or null when free
+ * @property {boolean} resizable
+ * @property {boolean} maximizable
+ * @property {string} placement
  */
 
 /**
- * Registry of all available applications
+ * Apps that ship with the desktop
  */
-export const APP_REGISTRY = [
+const BUILT_IN_APPS = [
   {
     id: 'about',
     name: 'About Me',
     icon: '👤',
     component: 'about-app',
+    load: () => import('../apps/about-app.js'),
     category: 'personal',
     defaultSize: { width: 600, height: 500 },
     description: 'View resume, bio, and professional information',
@@ -35,8 +60,11 @@ export const APP_REGISTRY = [
     name: 'Terminal',
     icon: '💻',
     component: 'terminal-app',
+    load: () => import('../apps/terminal-app.js'),
     category: 'utilities',
     defaultSize: { width: 800, height: 600 },
+    minSize: { width: 480, height: 300 },
+    launchPolicy: LAUNCH_POLICIES.MULTIPLE,
     description: 'Open terminal with command line interface',
     data: {}
   },
@@ -45,6 +73,7 @@ export const APP_REGISTRY = [
     name: 'Projects',
     icon: '🚀',
     component: 'projects-app',
+    load: () => import('../apps/projects-app.js'),
     category: 'portfolio',
     defaultSize: { width: 900, height: 700 },
     description: 'Browse portfolio projects and work samples',
@@ -55,8 +84,12 @@ export const APP_REGISTRY = [
     name: 'Contact',
     icon: '📧',
     component: 'contact-app',
+    load: () => import('../apps/contact-app.js'),
     category: 'personal',
     defaultSize: { width: 500, height: 600 },
+    minSize: { width: 400, height: 450 },
+    maxSize: { width: 700, height: 800 },
+    placement: WINDOW_PLACEMENTS.CENTER,
     description: 'Send a message or view contact information',
     data: {}
   },
@@ -65,6 +98,7 @@ export const APP_REGISTRY = [
     name: 'Settings',
     icon: '⚙️',
     component: 'settings-app',
+    load: () => import('../apps/settings-app.js'),
     category: 'system',
     defaultSize: { width: 600, height: 500 },
     description: 'Configure application preferences and themes',
@@ -75,20 +109,212 @@ export const APP_REGISTRY = [
     name: 'Files',
     icon: '📁',
     component: 'files-app',
+    load: () => import('../apps/files-app.js'),
     category: 'utilities',
     defaultSize: { width: 800, height: 600 },
+    launchPolicy: LAUNCH_POLICIES.KEYED,
+    instanceKey: 'path',
     description: 'Browse and manage files',
     data: {}
   }
 ];
 
+/**
+ * Currently registered apps, replaced (never mutated) on every change
+ * @type {AppDefinition[]}
+ */
+let registeredApps = [];
+
+/**
+ * Callbacks notified when apps are registered or unregistered
+ * @type {Set<Function>}
+ */
+const listeners = new Set();
+
+/**
+ * In-flight or finished module loads, keyed by app id
+ * @type {Map<string, Promise>}
+ */
+const moduleLoads = new Map();
+
+/**
+ * Valid custom element name: lowercase, starts with a letter, contains a hyphen
+ */
+const CUSTOM_ELEMENT_NAME = /^[a-z][a-z0-9._]*-[a-z0-9._-]*$/;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+const isSize = (value) =>
+  Boolean(value) && typeof value === 'object' &&
+  value.width > 0 && value.height > 0;
+
+/**
+ * Check an app manifest before it is registered
+ * @param {Object} definition - Candidate AppDefinition
+ * @returns {string[]} Problems found; empty when the definition is valid
+ */
+export function validateAppDefinition(definition) {
+  if (!definition || typeof definition !== 'object') {
+    return ['App definition must be an object'];
+  }
+
+  const errors = [];
+  const {
+    id, name, icon, component, defaultSize, minSize, maxSize, aspectRatio, placement, launchPolicy
+  } = definition;
+
+  if (!isNonEmptyString(id)) errors.push('"id" must be a non-empty string');
+  if (!isNonEmptyString(name)) errors.push('"name" must be a non-empty string');
+  if (!isNonEmptyString(icon)) errors.push('"icon" must be a non-empty string');
+  if (typeof component !== 'string' || !CUSTOM_ELEMENT_NAME.test(component)) {
+    errors.push('"component" must be a custom element name such as "notes-app"');
+  }
+  if (!isSize(defaultSize)) errors.push('"defaultSize" must have a positive width and height');
+  if (minSize !== undefined && !isSize(minSize)) errors.push('"minSize" must have a positive width and height');
+  if (maxSize !== undefined && !isSize(maxSize)) errors.push('"maxSize" must have a positive width and height');
+  if (isSize(minSize) && isSize(maxSize) &&
+      (minSize.width > maxSize.width || minSize.height > maxSize.height)) {
+    errors.push('"minSize" must not be larger than "maxSize"');
+  }
+  if (aspectRatio !== undefined && !(typeof aspectRatio === 'number' && aspectRatio > 0)) {
+    errors.push('"aspectRatio" must be a positive number');
+  }
+  if (definition.load !== undefined && typeof definition.load !== 'function') {
+    errors.push('"load" must be a function that imports the app module');
+  }
+  if (placement !== undefined && !Object.values(WINDOW_PLACEMENTS).includes(placement)) {
+    errors.push(`"placement" must be one of: ${Object.values(WINDOW_PLACEMENTS).join(', ')}`);
+  }
+  if (launchPolicy !== undefined && !Object.values(LAUNCH_POLICIES).includes(launchPolicy)) {
+    errors.push(`"launchPolicy" must be one of: ${Object.values(LAUNCH_POLICIES).join(', ')}`);
+  }
+  if (launchPolicy === LAUNCH_POLICIES.KEYED && !isNonEmptyString(definition.instanceKey)) {
+    errors.push('Apps with the "keyed" launch policy need an "instanceKey"');
+  }
+
+  if (appExists(id)) errors.push(`An app with id "${id}" is already registered`);
+  if (getAppByComponent(component)) errors.push(`Component "${component}" is already used by another app`);
+
+  return errors;
+}
+
+/**
+ * Tell listeners the registry changed
+ * @param {Object} change - {type: 'register'|'unregister', app}
+ */
+function notifyListeners(change) {
+  listeners.forEach(listener => {
+    try {
+      listener(registeredApps, change);
+    } catch (error) {
+      console.error('App registry listener failed:', error);
+    }
+  });
+}
+
+/**
+ * Add an app to the registry
+ * The component's custom element can be defined before or after registering;
+ * windows upgrade it once it is
+ * @param {AppDefinition} definition - App manifest
+ * @returns {boolean} Whether the app was registered
+ */
+export function registerApp(definition) {
+  const errors = validateAppDefinition(definition);
+  if (errors.length > 0) {
+    console.warn(`Cannot register app "${definition?.id}":`, errors);
+    return false;
+  }
+
+  const app = {
+    category: 'utilities',
+    description: definition.name,
+    ...definition,
+    data: definition.data || {}
+  };
+  registeredApps = [...registeredApps, app];
+  notifyListeners({ type: 'register', app });
+  return true;
+}
+
+/**
+ * Remove an app from the registry
+ * The app can no longer be launched, but windows that are already
+ * showing it keep the running element and its state until they are closed
+ * @param {string} id - App identifier
+ * @returns {boolean} Whether an app was removed
+ */
+export function unregisterApp(id) {
+  const app = getAppById(id);
+  if (!app) return false;
+
+  registeredApps = registeredApps.filter(candidate => candidate !== app);
+  notifyListeners({ type: 'unregister', app });
+  return true;
+}
+
+/**
+ * Listen for apps being registered or unregistered
+ * @param {Function} callback - Called with (apps, {type, app})
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToApps(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+/**
+ * Whether an app's custom element is ready to render
+ * Apps without a loader are expected to define their element themselves
+ * @param {AppDefinition} app
+ * @returns {boolean}
+ */
+export function isAppLoaded(app) {
+  return !app.load || customElements.get(app.component) !== undefined;
+}
+
+/**
+ * Load an app's module on first use
+ * Concurrent calls share one import; a failed import can be retried
+ * @param {AppDefinition} app
+ * @returns {Promise<void>} Resolves once the component is defined
+ */
+export function loadApp(app) {
+  if (isAppLoaded(app)) return Promise.resolve();
+
+  if (!moduleLoads.has(app.id)) {
+    const load = Promise.resolve()
+      .then(() => app.load())
+      .then(() => {
+        if (!customElements.get(app.component)) {
+          throw new Error(`Module for "${app.id}" did not define <${app.component}>`);
+        }
+      })
+      .catch((error) => {
+        moduleLoads.delete(app.id);
+        throw error;
+      });
+    moduleLoads.set(app.id, load);
+  }
+
+  return moduleLoads.get(app.id);
+}
+
+/**
+ * Get all registered apps, in registration order
+ * @returns {AppDefinition[]}
+ */
+export function getApps() {
+  return registeredApps;
+}
+
 /**
  * Get app by ID
  * @param {string} id - App identifier
  * @returns {AppDefinition|undefined}
  */
 export function getAppById(id) {
-  return APP_REGISTRY.find(app => app.id === id);
+  return registeredApps.find(app => app.id === id);
 }
 
 /**
@@ -97,7 +323,48 @@ export function getAppById(id) {
  * @returns {AppDefinition|undefined}
  */
 export function getAppByComponent(component) {
-  return APP_REGISTRY.find(app => app.component === component);
+  return registeredApps.find(app => app.component === component);
+}
+
+/**
+ * Get the window constraints an app declares, with defaults for the rest
+ * Unknown components get the defaults
+ * @param {string} component - Component name
+ * @returns {AppWindowOptions}
+ */
+export function getAppWindowOptions(component) {
+  const app = getAppByComponent(component) || {};
+  const resizable = app.resizable !== false;
+
+  return {
+    minSize: app.minSize || { width: WINDOW_MIN_WIDTH, height: WINDOW_MIN_HEIGHT },
+    maxSize: app.maxSize || { width: Infinity, height: Infinity },
+    aspectRatio: app.aspectRatio > 0 ? app.aspectRatio : null,
+    resizable,
+    // Maximizing resizes the window, so fixed-size windows can't do it either
+    maximizable: resizable && app.maximizable !== false,
+    placement: app.placement || WINDOW_PLACEMENTS.REMEMBERED
+  };
+}
+
+/**
+ * Find the open window a launch should reuse instead of opening a new one
+ * @param {AppDefinition} app
+ * @param {Object[]} windows - Open windows
+ * @param {Object} [args] - Launch arguments
+ * @returns {Object|undefined} Window record, or undefined to open a new window
+ */
+export function findLaunchTarget(app, windows, args = {}) {
+  const instances = windows.filter(w => w.component === app.component);
+
+  switch (app.launchPolicy || LAUNCH_POLICIES.SINGLE) {
+    case LAUNCH_POLICIES.MULTIPLE:
+      return undefined;
+    case LAUNCH_POLICIES.KEYED:
+      return instances.find(w => w.data?.[app.instanceKey] === args[app.instanceKey]);
+    default:
+      return instances[0];
+  }
 }
 
 /**
@@ -106,7 +373,7 @@ export function getAppByComponent(component) {
  * @returns {AppDefinition[]}
  */
 export function getAppsByCategory(category) {
-  return APP_REGISTRY.filter(app => app.category === category);
+  return registeredApps.filter(app => app.category === category);
 }
 
 /**
@@ -114,7 +381,7 @@ export function getAppsByCategory(category) {
  * @returns {string[]}
  */
 export function getAllAppIds() {
-  return APP_REGISTRY.map(app => app.id);
+  return registeredApps.map(app => app.id);
 }
 
 /**
@@ -122,7 +389,7 @@ export function getAllAppIds() {
  * @returns {string[]}
  */
 export function getAllCategories() {
-  const categories = new Set(APP_REGISTRY.map(app => app.category));
+  const categories = new Set(registeredApps.map(app => app.category));
   return Array.from(categories);
 }
 
@@ -132,7 +399,7 @@ export function getAllCategories() {
  * @returns {boolean}
  */
 export function appExists(id) {
-  return APP_REGISTRY.some(app => app.id === id);
+  return registeredApps.some(app => app.id === id);
 }
 
 /**
@@ -149,7 +416,7 @@ export function getDefaultIconPositions(
   startY = 20,
   columns = 6
 ) {
-  return APP_REGISTRY.map((app, index) => ({
+  return registeredApps.map((app, index) => ({
     appId: app.id,
     position: {
       x: startX + (index % columns) * iconSize,
@@ -157,3 +424,5 @@ export function getDefaultIconPositions(
     }
   }));
 }
+
+BUILT_IN_APPS.forEach(registerApp);
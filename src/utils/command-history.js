@@ -0,0 +1,175 @@
+/**
+ * Command History
+ * Undo/redo stack used by AppState for reversible operations
+ */
+
+import { HISTORY_LIMIT } from './constants.js';
+
+/**
+ * Command structure:
+ * @typedef {Object} Command
+ * @property {string} label - Human readable description (e.g. "Move window")
+ * @property {string} [mergeKey] - Consecutive commands with the same key merge into one step
+ * @property {Function} undo - Reverts the command
+ * @property {Function} redo - Re-applies the command
+ * @property {string[]} [undoCloses] - Windows that undoing closes, so their close guards can be asked first
+ * @property {string[]} [redoCloses] - Windows that redoing closes
+ */
+
+export class CommandHistory {
+  /**
+   * @param {number} limit - Maximum number of undoable steps to keep
+   */
+  constructor(limit = HISTORY_LIMIT) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.isReplaying = false;
+    this._sealed = true;
+    this._group = null;
+  }
+
+  /**
+   * Record a command that has already been applied
+   * Merges into the previous step when the merge keys match and the
+   * previous step has not been sealed
+   * @param {Command} command
+   */
+  push(command) {
+    if (this.isReplaying) return;
+
+    if (this._group) {
+      this._group.push({ ...command });
+      return;
+    }
+
+    const last = this.undoStack[this.undoStack.length - 1];
+
+    if (last && !this._sealed && command.mergeKey && last.mergeKey === command.mergeKey) {
+      // Keep the original undo, take the latest redo
+      last.redo = command.redo;
+    } else {
+      this.undoStack.push({ ...command });
+      if (this.undoStack.length > this.limit) {
+        this.undoStack.shift();
+      }
+    }
+
+    this._sealed = !command.mergeKey;
+    this.redoStack = [];
+  }
+
+  /**
+   * Run a function and record every command it produces as a single step
+   * @param {string} label - Label for the combined step
+   * @param {Function} fn - Function performing the mutations
+   * @returns {*} The function's return value
+   */
+  group(label, fn) {
+    // Nested groups fold into the outermost one
+    if (this._group) return fn();
+
+    const commands = [];
+    this._group = commands;
+    let result;
+    try {
+      result = fn();
+    } finally {
+      this._group = null;
+    }
+
+    if (commands.length > 0) {
+      this.push({
+        label,
+        undo: () => [...commands].reverse().forEach(command => command.undo()),
+        redo: () => commands.forEach(command => command.redo()),
+        undoCloses: commands.flatMap(command => command.undoCloses || []),
+        redoCloses: commands.flatMap(command => command.redoCloses || [])
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Close the current merge group (e.g. at the end of a drag)
+   */
+  seal() {
+    this._sealed = true;
+  }
+
+  /**
+   * Undo the most recent command
+   * @returns {Command|null} The undone command
+   */
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return null;
+
+    this._replay(command.undo);
+    this.redoStack.push(command);
+    this._sealed = true;
+    return command;
+  }
+
+  /**
+   * Redo the most recently undone command
+   * @returns {Command|null} The redone command
+   */
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+
+    this._replay(command.redo);
+    this.undoStack.push(command);
+    this._sealed = true;
+    return command;
+  }
+
+  /**
+   * The command undo() would revert, without reverting it
+   * @returns {Command|null}
+   */
+  peekUndo() {
+    return this.undoStack[this.undoStack.length - 1] || null;
+  }
+
+  /**
+   * The command redo() would re-apply, without re-applying it
+   * @returns {Command|null}
+   */
+  peekRedo() {
+    return this.redoStack[this.redoStack.length - 1] || null;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Drop all recorded commands
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this._sealed = true;
+  }
+
+  /**
+   * Run a command function without recording the mutations it triggers
+   * @private
+   * @param {Function} fn
+   */
+  _replay(fn) {
+    this.isReplaying = true;
+    try {
+      fn();
+    } finally {
+      this.isReplaying = false;
+    }
+  }
+}
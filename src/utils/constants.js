@@ -16,6 +16,7 @@ export const WINDOW_INITIAL_HEIGHT = 400;
 export const Z_INDEX = {
   DESKTOP: 0,
   WINDOW_BASE: 100,
+  WINDOW_PINNED: 500, // Always-on-top windows
   APPBAR: 900,
   TOPBAR: 1000,
   MODAL: 2000,
@@ -27,16 +28,90 @@ export const WINDOW_CASCADE_OFFSET = 30;
 export const WINDOW_CASCADE_MAX = 200;
 export const WINDOW_SNAP_THRESHOLD = 20;
 export const WINDOW_MIN_VISIBLE_PIXELS = 100;
+export const WINDOW_UNMAXIMIZE_DRAG_THRESHOLD = 5;
+export const KEYBOARD_MOVE_STEP = 10;
+export const KEYBOARD_RESIZE_STEP = 10;
+export const APP_CLOSE_TIMEOUT = 5000; // beforeClose taking longer offers a force close
+
+// Window Placement
+export const WINDOW_PLACEMENTS = {
+  CENTER: 'center',
+  CASCADE: 'cascade',
+  REMEMBERED: 'remembered'
+};
+
+// How launching an app treats windows it already has open
+export const LAUNCH_POLICIES = {
+  SINGLE: 'single', // Focus the open window
+  MULTIPLE: 'multiple', // Always open another window
+  KEYED: 'keyed' // One window per value of the app's instanceKey argument
+};
+
+// Snap Layouts
+export const SNAP_EDGE_THRESHOLD = 12;
+export const SNAP_CORNER_SIZE = 80;
+export const SNAP_THIRDS_MIN_WIDTH = 1440;
+export const SNAP_ZONES = {
+  LEFT: 'left',
+  RIGHT: 'right',
+  TOP_LEFT: 'top-left',
+  TOP_RIGHT: 'top-right',
+  BOTTOM_LEFT: 'bottom-left',
+  BOTTOM_RIGHT: 'bottom-right',
+  LEFT_THIRD: 'left-third',
+  CENTER_THIRD: 'center-third',
+  RIGHT_THIRD: 'right-third',
+  MAXIMIZE: 'maximize'
+};
+
+// Tiling Layouts
+export const TILING_MODES = {
+  NONE: 'none',
+  MASTER_STACK: 'master-stack'
+};
+export const MASTER_STACK_RATIO = 0.6;
+
+// Window Overview
+export const OVERVIEW_HEADER_HEIGHT = 72;
+export const OVERVIEW_GAP = 24;
+export const OVERVIEW_LABEL_HEIGHT = 28;
+
+// Undo/Redo
+export const HISTORY_LIMIT = 100;
 
 // Position Defaults
 export const DEFAULT_WINDOW_POSITION = { x: 100, y: 100 };
 
 // Storage Keys
 export const STORAGE_KEY_APP_STATE = 'portfolio-os-state';
+export const STORAGE_KEY_TAB_SYNC = 'portfolio-os-sync';
+export const STORAGE_KEY_BACKEND = 'portfolio-os-backend'; // Backend the state moved to after a fallback
+export const STATE_SCHEMA_VERSION = 4;
+export const EXPORT_FORMAT = 'portfolio-os-desktop';
+
+// Storage Backends
+export const STORAGE_BACKENDS = {
+  LOCAL: 'local',
+  INDEXED_DB: 'indexeddb',
+  MEMORY: 'memory'
+};
+export const INDEXED_DB_NAME = 'portfolio-os';
+export const INDEXED_DB_STORE = 'state';
+
+// Cross-tab Sync
+export const TAB_SYNC_CHANNEL = 'portfolio-os';
+
+// Desktop Preferences (synced between tabs)
+export const DEFAULT_PREFERENCES = {
+  mirrorWindows: false,
+  snapThirds: false,
+  tilingMode: 'none'
+};
 
 // Debounce/Throttle Timings (ms)
 export const DEBOUNCE_RESIZE = 250;
 export const DEBOUNCE_AUTOSAVE = 1000;
+export const THROTTLE_DRAG_COMMIT = 200;
 export const TIME_UPDATE_INTERVAL = 1000;
 
 // Themes
@@ -54,7 +129,9 @@ export const SHORTCUTS = {
   MINIMIZE_WINDOW: 'm',
   MAXIMIZE_WINDOW: 'f',
   OPEN_TERMINAL: 't',
-  CYCLE_WINDOWS: 'tab'
+  CYCLE_WINDOWS: 'tab',
+  UNDO: 'z',
+  REDO: 'y'
 };
 
 // Desktop Icons
@@ -82,6 +159,8 @@ export const ANIMATION = {
   WINDOW_RESTORE_DURATION: 280,
   WINDOW_MINIMIZE_EASING: 'cubic-bezier(0.4, 0, 0.2, 1)',
   WINDOW_RESTORE_EASING: 'cubic-bezier(0.4, 0, 0.2, 1)',
+  OVERVIEW_DURATION: 300,
+  OVERVIEW_EASING: 'cubic-bezier(0.2, 0, 0, 1)',
   SCALE_TARGET: 0.05,
   REDUCED_MOTION_DURATION: 0 // For prefers-reduced-motion
 };
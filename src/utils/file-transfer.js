@@ -0,0 +1,34 @@
+/**
+ * File Transfer Utilities
+ * Helpers for downloading and reading JSON files in the browser
+ */
+
+/**
+ * Trigger a download of data as a formatted JSON file
+ * @param {Object} data - JSON-safe data
+ * @param {string} filename - Suggested file name
+ */
+export function downloadJson(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Read a user-selected file and parse it as JSON
+ * @param {File|Blob} file - File to read
+ * @returns {Promise<*>} Parsed JSON
+ */
+export async function readJsonFile(file) {
+  return JSON.parse(await file.text());
+}
@@ -0,0 +1,83 @@
+/**
+ * Icon Layout
+ * Keeps desktop icons reachable when the desktop changes size
+ */
+
+import { ICON_SPACING, ICON_GRID_START_X, ICON_GRID_START_Y } from './constants.js';
+
+/**
+ * Grid cells that fit inside the icon area
+ * @param {number} maxX - Largest x an icon may have
+ * @param {number} maxY - Largest y an icon may have
+ * @returns {Object[]} Array of {x, y}
+ */
+function getGridCells(maxX, maxY) {
+  const cells = [];
+  for (let y = ICON_GRID_START_Y; y <= maxY; y += ICON_SPACING) {
+    for (let x = ICON_GRID_START_X; x <= maxX; x += ICON_SPACING) {
+      cells.push({ x, y });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Where icons are shown on a desktop of the given size
+ * Icons keep the positions the user gave them; icons that don't fit are
+ * shown in the nearest free grid cell instead. The positions themselves are
+ * left alone, so growing the desktop again brings the icons back
+ * @param {Map} positions - Map of appId -> {x, y} as placed by the user
+ * @param {Object} bounds - Icon area {width, height}
+ * @returns {Map} Display positions, or the same Map when everything fits
+ */
+export function reflowIconPositions(positions, bounds) {
+  const maxX = Math.max(0, bounds.width - ICON_SPACING);
+  const maxY = Math.max(0, bounds.height - ICON_SPACING);
+  const fits = ({ x, y }) => x >= 0 && y >= 0 && x <= maxX && y <= maxY;
+
+  const misplaced = Array.from(positions.entries()).filter(([, position]) => !fits(position));
+  if (misplaced.length === 0) return positions;
+
+  const placed = Array.from(positions.values()).filter(fits);
+  const isFree = (cell) => placed.every(position =>
+    Math.abs(position.x - cell.x) >= ICON_SPACING || Math.abs(position.y - cell.y) >= ICON_SPACING
+  );
+  const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+  const cells = getGridCells(maxX, maxY);
+
+  const reflowed = new Map(positions);
+  misplaced.forEach(([appId, position]) => {
+    const target = {
+      x: Math.max(0, Math.min(position.x, maxX)),
+      y: Math.max(0, Math.min(position.y, maxY))
+    };
+    const cell = cells
+      .filter(isFree)
+      .reduce((nearest, candidate) =>
+        !nearest || distance(candidate, target) < distance(nearest, target) ? candidate : nearest, null);
+
+    // A desktop too small for a free cell still gets the icon on screen
+    const next = cell ? { ...cell } : target;
+    reflowed.set(appId, next);
+    placed.push(next);
+  });
+
+  return reflowed;
+}
+
+/**
+ * First grid cell, in reading order, that no icon occupies
+ * @param {Map} positions - Map of appId -> {x, y}
+ * @param {Object} bounds - Icon area {width, height}
+ * @returns {Object} {x, y}; the grid start when the desktop is full
+ */
+export function getFreeIconPosition(positions, bounds) {
+  const maxX = Math.max(0, bounds.width - ICON_SPACING);
+  const maxY = Math.max(0, bounds.height - ICON_SPACING);
+  const placed = Array.from(positions.values());
+  const cell = getGridCells(maxX, maxY).find(candidate => placed.every(position =>
+    Math.abs(position.x - candidate.x) >= ICON_SPACING || Math.abs(position.y - candidate.y) >= ICON_SPACING
+  ));
+
+  return cell ? { ...cell } : { x: ICON_GRID_START_X, y: ICON_GRID_START_Y };
+}
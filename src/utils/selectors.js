@@ -0,0 +1,64 @@
+/**
+ * State Selectors
+ * Slice selectors and equality helpers for AppState.subscribe
+ */
+
+/**
+ * Compare two values one level deep (objects by key, arrays by index)
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+}
+
+/**
+ * Compare two arrays whose items are compared with shallowEqual
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {boolean}
+ */
+export function listEqual(a, b) {
+  if (a === b) return true;
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+  return a.every((item, index) => shallowEqual(item, b[index]));
+}
+
+/**
+ * Ids of all windows, in render order
+ * Use with shallowEqual
+ */
+export const selectWindowIds = (state) => state.windows.map(w => w.id);
+
+/**
+ * A single window record by id
+ * @param {string} id - Window ID
+ * @returns {Function} Selector
+ */
+export const selectWindow = (id) => (state) => state.windows.find(w => w.id === id);
+
+/**
+ * The focused window record, if any
+ */
+export const selectFocusedWindow = (state) => state.windows.find(w => w.isFocused);
+
+/**
+ * Fields the app bar shows for each window (no geometry)
+ * Use with listEqual
+ */
+export const selectAppBarItems = (state) => state.windows.map(w => ({
+  id: w.id,
+  title: w.title,
+  component: w.component,
+  isFocused: w.isFocused,
+  isMinimized: w.isMinimized
+}));
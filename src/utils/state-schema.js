@@ -0,0 +1,545 @@
+/**
+ * State Schema
+ * Versioned persistence format for AppState with upgrade migrations
+ */
+
+import { getAppByComponent } from './app-registry.js';
+import { normalizeWindowBounds, getAvailableDesktopBounds } from './window-manager.js';
+import {
+  STATE_SCHEMA_VERSION,
+  THEMES,
+  Z_INDEX,
+  DEFAULT_PREFERENCES,
+  EXPORT_FORMAT
+} from './constants.js';
+
+/**
+ * State slices that are persisted with their own revision
+ * Revisions let tabs decide which copy of a slice is newer
+ */
+export const PERSISTED_SLICES = ['theme', 'windows', 'iconPositions', 'preferences', 'workspaces', 'windowMemory'];
+
+/**
+ * Persisted payload structure (current version):
+ * @typedef {Object} PersistedState
+ * @property {number} version - Schema version
+ * @property {string} theme - Theme id
+ * @property {Object[]} windows - Window records
+ * @property {Array} iconPositions - Array of [appId, {x, y}] entries
+ * @property {Object} preferences - Desktop preferences shared between tabs
+ * @property {Object[]} workspaces - Named desktop layouts
+ * @property {Object} windowMemory - Map of appId -> geometry the app was last closed with
+ * @property {Object} revisions - Map of slice name -> revision timestamp
+ */
+
+/**
+ * Migrations keyed by the version they upgrade FROM
+ * Each receives a payload at version N and returns one at version N + 1
+ */
+export const MIGRATIONS = {
+  /**
+   * 0 -> 1: Unversioned blob from before the schema existed
+   * Windows were stored verbatim, including transient flags
+   */
+  0: (payload) => ({
+    version: 1,
+    theme: payload.theme,
+    windows: Array.isArray(payload.windows)
+      ? payload.windows.map(w => {
+        if (!w || typeof w !== 'object') return w;
+        const { _isNewlyOpened, ...rest } = w;
+        return {
+          ...rest,
+          isMinimized: Boolean(rest.isMinimized),
+          data: rest.data && typeof rest.data === 'object' ? rest.data : {}
+        };
+      })
+      : [],
+    iconPositions: payload.iconPositions
+  }),
+
+  /**
+   * 1 -> 2: Desktop preferences and per-slice revisions for cross-tab sync
+   */
+  1: (payload) => ({
+    ...payload,
+    version: 2,
+    preferences: { ...DEFAULT_PREFERENCES },
+    revisions: {
+      theme: 0,
+      windows: 0,
+      iconPositions: 0,
+      preferences: 0
+    }
+  }),
+
+  /**
+   * 2 -> 3: Named workspaces
+   */
+  2: (payload) => ({
+    ...payload,
+    version: 3,
+    workspaces: [],
+    revisions: { ...payload.revisions, workspaces: 0 }
+  }),
+
+  /**
+   * 3 -> 4: Remembered window geometry per app
+   */
+  3: (payload) => ({
+    ...payload,
+    version: 4,
+    windowMemory: {},
+    revisions: { ...payload.revisions, windowMemory: 0 }
+  })
+};
+
+/**
+ * Upgrade a persisted payload to the current schema version
+ * @param {Object} payload - Parsed payload of any version
+ * @returns {Object|null} Payload at STATE_SCHEMA_VERSION, or null if it can't be upgraded
+ */
+export function migrateState(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return null;
+  }
+
+  let current = payload;
+  let version = Number.isInteger(payload.version) ? payload.version : 0;
+
+  if (version > STATE_SCHEMA_VERSION) {
+    console.warn(`Saved state version ${version} is newer than supported version ${STATE_SCHEMA_VERSION}`);
+    return null;
+  }
+
+  while (version < STATE_SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      console.warn(`No migration from state version ${version}`);
+      return null;
+    }
+    current = migrate(current);
+    version = current.version;
+  }
+
+  return current;
+}
+
+/**
+ * Check that a value is a finite number
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Check that a value has a finite position and a positive size
+ * @param {Object} raw - {position, size}
+ * @returns {boolean}
+ */
+function isValidGeometry(raw) {
+  if (!raw || typeof raw !== 'object') return false;
+
+  const { position, size } = raw;
+  if (!position || !isFiniteNumber(position.x) || !isFiniteNumber(position.y)) return false;
+  if (!size || !isFiniteNumber(size.width) || !isFiniteNumber(size.height)) return false;
+  return size.width > 0 && size.height > 0;
+}
+
+/**
+ * Copy the pre-maximize geometry of a window, if it has a usable one
+ * @param {Object} raw - Window record
+ * @returns {Object|null} {position, size}
+ */
+function copyRestoreGeometry(raw) {
+  if (!raw.isMaximized || !isValidGeometry(raw.restoreGeometry)) return null;
+
+  const { position, size } = raw.restoreGeometry;
+  return {
+    position: { x: position.x, y: position.y },
+    size: { width: size.width, height: size.height }
+  };
+}
+
+/**
+ * Check that a window record names a component and has usable geometry
+ * The component doesn't have to be registered: windows of plugin apps that
+ * register later are kept and show their app once it is there
+ * @param {Object} raw - Window record (the id is not checked)
+ * @returns {boolean}
+ */
+export function isValidWindowLayout(raw) {
+  if (!raw || typeof raw !== 'object') return false;
+  if (typeof raw.component !== 'string' || !raw.component) return false;
+  return isValidGeometry(raw);
+}
+
+/**
+ * Validate a single persisted window and clamp it to the desktop
+ * @param {Object} raw - Persisted window record
+ * @param {Object} desktopSize - {width, height}
+ * @returns {Object|null} Sanitized window, or null if the record is unusable
+ */
+export function sanitizeWindow(raw, desktopSize) {
+  if (!isValidWindowLayout(raw)) return null;
+  if (typeof raw.id !== 'string' || !raw.id) return null;
+
+  const { position, size } = raw;
+  const restoreGeometry = copyRestoreGeometry(raw);
+  const windowData = {
+    id: raw.id,
+    title: typeof raw.title === 'string' ? raw.title : 'Untitled',
+    component: raw.component,
+    position: { x: position.x, y: position.y },
+    size: { width: size.width, height: size.height },
+    zIndex: isFiniteNumber(raw.zIndex) ? raw.zIndex : Z_INDEX.WINDOW_BASE,
+    isMinimized: Boolean(raw.isMinimized),
+    isMaximized: Boolean(restoreGeometry),
+    restoreGeometry,
+    isPinned: Boolean(raw.isPinned),
+    isShaded: Boolean(raw.isShaded),
+    isFocused: Boolean(raw.isFocused),
+    data: raw.data && typeof raw.data === 'object' ? raw.data : {}
+  };
+
+  return normalizeWindowBounds(windowData, getAvailableDesktopBounds(desktopSize));
+}
+
+/**
+ * Validate persisted icon positions, dropping malformed entries
+ * @param {Array} entries - Array of [appId, {x, y}]
+ * @returns {Map} Map of appId -> {x, y}
+ */
+export function sanitizeIconPositions(entries) {
+  const positions = new Map();
+  if (!Array.isArray(entries)) return positions;
+
+  entries.forEach(entry => {
+    if (!Array.isArray(entry) || typeof entry[0] !== 'string') return;
+    const position = entry[1];
+    if (!position || !isFiniteNumber(position.x) || !isFiniteNumber(position.y)) return;
+    positions.set(entry[0], { x: position.x, y: position.y });
+  });
+
+  return positions;
+}
+
+/**
+ * Validate persisted preferences, falling back to defaults per key
+ * @param {Object} raw - Persisted preferences
+ * @returns {Object} Preferences
+ */
+export function sanitizePreferences(raw) {
+  const preferences = { ...DEFAULT_PREFERENCES };
+  if (!raw || typeof raw !== 'object') return preferences;
+
+  Object.keys(DEFAULT_PREFERENCES).forEach(key => {
+    if (typeof raw[key] === typeof DEFAULT_PREFERENCES[key]) {
+      preferences[key] = raw[key];
+    }
+  });
+
+  return preferences;
+}
+
+/**
+ * Validate remembered window geometry, dropping unusable entries
+ * @param {Object} raw - Map of appId -> {position, size, isMaximized}
+ * @returns {Object} Window memory
+ */
+export function sanitizeWindowMemory(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return {};
+
+  return Object.fromEntries(Object.entries(raw)
+    .filter(([, entry]) => isValidGeometry(entry))
+    .map(([appId, { position, size, isMaximized }]) => [appId, {
+      position: { x: position.x, y: position.y },
+      size: { width: size.width, height: size.height },
+      isMaximized: Boolean(isMaximized)
+    }]));
+}
+
+/**
+ * Validate persisted revisions
+ * @param {Object} raw - Map of slice name -> revision
+ * @returns {Object} Revisions with every persisted slice present
+ */
+export function sanitizeRevisions(raw) {
+  return Object.fromEntries(PERSISTED_SLICES.map(slice => [
+    slice,
+    raw && isFiniteNumber(raw[slice]) ? raw[slice] : 0
+  ]));
+}
+
+/**
+ * Copy the layout-relevant fields of a window (no id or focus)
+ * @param {Object} windowData - Window record
+ * @returns {Object} Layout record
+ */
+export function toWindowLayout(windowData) {
+  const restoreGeometry = copyRestoreGeometry(windowData);
+  return {
+    title: typeof windowData.title === 'string' ? windowData.title : 'Untitled',
+    component: windowData.component,
+    position: { x: windowData.position.x, y: windowData.position.y },
+    size: { width: windowData.size.width, height: windowData.size.height },
+    zIndex: isFiniteNumber(windowData.zIndex) ? windowData.zIndex : Z_INDEX.WINDOW_BASE,
+    isMinimized: Boolean(windowData.isMinimized),
+    isMaximized: Boolean(restoreGeometry),
+    restoreGeometry,
+    isPinned: Boolean(windowData.isPinned),
+    isShaded: Boolean(windowData.isShaded),
+    // A copy, so an app updating its live data can't rewrite saved workspaces
+    data: windowData.data && typeof windowData.data === 'object' ? structuredClone(windowData.data) : {}
+  };
+}
+
+/**
+ * Validate persisted workspaces, dropping unusable ones and windows
+ * @param {Object[]} raw - Persisted workspaces
+ * @returns {Object[]} Workspaces: {name, savedAt, theme, windows, iconPositions}
+ */
+export function sanitizeWorkspaces(raw) {
+  if (!Array.isArray(raw)) return [];
+
+  const seenNames = new Set();
+  return raw.reduce((workspaces, workspace) => {
+    if (!workspace || typeof workspace.name !== 'string') return workspaces;
+
+    const name = workspace.name.trim();
+    if (!name || seenNames.has(name)) return workspaces;
+    seenNames.add(name);
+
+    workspaces.push({
+      name,
+      savedAt: isFiniteNumber(workspace.savedAt) ? workspace.savedAt : 0,
+      theme: Object.values(THEMES).includes(workspace.theme) ? workspace.theme : null,
+      windows: (Array.isArray(workspace.windows) ? workspace.windows : [])
+        .filter(isValidWindowLayout)
+        .map(toWindowLayout),
+      iconPositions: Array.from(sanitizeIconPositions(workspace.iconPositions).entries())
+    });
+    return workspaces;
+  }, []);
+}
+
+/**
+ * Validate a list of persisted windows
+ * Corrupt and duplicate windows are dropped individually
+ * @param {Object[]} rawWindows - Persisted window records
+ * @param {Object} desktopSize - {width, height}
+ * @returns {Object} {windows, focusedWindowId, nextZIndex}
+ */
+export function restoreWindows(rawWindows, desktopSize) {
+  const seenIds = new Set();
+  const windows = [];
+  (Array.isArray(rawWindows) ? rawWindows : []).forEach(raw => {
+    const windowData = sanitizeWindow(raw, desktopSize);
+    if (!windowData || seenIds.has(windowData.id)) {
+      console.warn('Dropping invalid saved window:', raw);
+      return;
+    }
+    seenIds.add(windowData.id);
+    windows.push(windowData);
+  });
+
+  // Only one window may be focused, and never a minimized one
+  const focused = windows
+    .filter(w => w.isFocused && !w.isMinimized)
+    .reduce((max, w) => (!max || w.zIndex > max.zIndex ? w : max), null);
+  windows.forEach(w => {
+    w.isFocused = w === focused;
+  });
+
+  return {
+    windows,
+    focusedWindowId: focused ? focused.id : null,
+    nextZIndex: windows.reduce(
+      (max, w) => Math.max(max, w.zIndex + 1),
+      Z_INDEX.WINDOW_BASE
+    )
+  };
+}
+
+/**
+ * Serialize a single persisted slice
+ * @param {Object} state - AppState state
+ * @param {string} slice - One of PERSISTED_SLICES
+ * @returns {*} JSON-safe value
+ */
+export function serializeSlice(state, slice) {
+  switch (slice) {
+    case 'windows':
+      return state.windows.map(({ _isNewlyOpened, ...windowData }) => windowData);
+    case 'iconPositions':
+      return Array.from(state.iconPositions.entries());
+    case 'preferences':
+      return { ...state.preferences };
+    default:
+      return state[slice];
+  }
+}
+
+/**
+ * Turn a serialized slice back into its AppState form
+ * @param {string} slice - One of PERSISTED_SLICES
+ * @param {*} value - Serialized value
+ * @param {Object} desktopSize - {width, height}
+ * @returns {Object|null} Partial state updates, or null if the value is invalid
+ */
+export function restoreSlice(slice, value, desktopSize) {
+  switch (slice) {
+    case 'theme':
+      return Object.values(THEMES).includes(value) ? { theme: value } : null;
+    case 'windows':
+      return restoreWindows(value, desktopSize);
+    case 'iconPositions':
+      return { iconPositions: sanitizeIconPositions(value) };
+    case 'preferences':
+      return { preferences: sanitizePreferences(value) };
+    case 'workspaces':
+      return { workspaces: sanitizeWorkspaces(value) };
+    case 'windowMemory':
+      return { windowMemory: sanitizeWindowMemory(value) };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Serialize AppState fields into the current persisted format
+ * @param {Object} state - AppState state
+ * @param {Object} revisions - Map of slice name -> revision
+ * @returns {PersistedState}
+ */
+export function serializeState(state, revisions) {
+  const payload = { version: STATE_SCHEMA_VERSION };
+  PERSISTED_SLICES.forEach(slice => {
+    payload[slice] = serializeSlice(state, slice);
+  });
+  payload.revisions = sanitizeRevisions(revisions);
+  return payload;
+}
+
+/**
+ * Format a count with a singular/plural noun
+ * @param {number} count
+ * @param {string} noun - Singular noun
+ * @returns {string}
+ */
+function pluralize(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Validate an export file and list the changes importing it would make
+ * @param {Object} data - Parsed export file
+ * @param {Object} currentState - AppState state to compare against
+ * @returns {Object} {valid, errors, warnings, changes, payload}
+ */
+export function buildImportPreview(data, currentState) {
+  const preview = { valid: false, errors: [], warnings: [], changes: [], payload: null };
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    preview.errors.push('Expected a JSON object');
+    return preview;
+  }
+  if (data.format !== undefined && data.format !== EXPORT_FORMAT) {
+    preview.errors.push(`Unknown file format "${data.format}"`);
+    return preview;
+  }
+  if (Number.isInteger(data.version) && data.version > STATE_SCHEMA_VERSION) {
+    preview.errors.push(`File uses schema version ${data.version}; this desktop supports up to ${STATE_SCHEMA_VERSION}`);
+    return preview;
+  }
+
+  const migrated = migrateState(data);
+  if (!migrated) {
+    preview.errors.push('Unsupported file version');
+    return preview;
+  }
+
+  // Validate each part, dropping bad entries with a warning
+  const rawWindows = Array.isArray(migrated.windows) ? migrated.windows : [];
+  const windows = rawWindows.filter(isValidWindowLayout).map(toWindowLayout);
+  if (windows.length < rawWindows.length) {
+    preview.warnings.push(`Skipping ${pluralize(rawWindows.length - windows.length, 'invalid window')}`);
+  }
+  const unavailable = windows.filter(w => !getAppByComponent(w.component)).length;
+  if (unavailable > 0) {
+    preview.warnings.push(`${pluralize(unavailable, 'window')} will stay empty until ${unavailable === 1 ? 'its app is' : 'their apps are'} registered`);
+  }
+
+  const rawIcons = Array.isArray(migrated.iconPositions) ? migrated.iconPositions : [];
+  const iconPositions = sanitizeIconPositions(rawIcons);
+  if (iconPositions.size < rawIcons.length) {
+    preview.warnings.push(`Skipping ${pluralize(rawIcons.length - iconPositions.size, 'invalid icon position')}`);
+  }
+
+  const rawWorkspaces = Array.isArray(migrated.workspaces) ? migrated.workspaces : [];
+  const workspaces = sanitizeWorkspaces(rawWorkspaces);
+  if (workspaces.length < rawWorkspaces.length) {
+    preview.warnings.push(`Skipping ${pluralize(rawWorkspaces.length - workspaces.length, 'invalid workspace')}`);
+  }
+
+  let theme = null;
+  if (Object.values(THEMES).includes(migrated.theme)) {
+    theme = migrated.theme;
+  } else if (migrated.theme !== undefined) {
+    preview.warnings.push(`Ignoring unknown theme "${migrated.theme}"`);
+  }
+
+  const preferences = sanitizePreferences(migrated.preferences);
+
+  // Describe the differences from the current desktop
+  const { changes } = preview;
+
+  if (theme && theme !== currentState.theme) {
+    changes.push(`Theme: ${currentState.theme} → ${theme}`);
+  }
+
+  if (currentState.windows.length > 0) {
+    changes.push(`Close ${pluralize(currentState.windows.length, 'open window')}: ${currentState.windows.map(w => w.title).join(', ')}`);
+  }
+  if (windows.length > 0) {
+    changes.push(`Open ${pluralize(windows.length, 'window')}: ${windows.map(w => w.title).join(', ')}`);
+  }
+
+  const movedIcons = Array.from(iconPositions.entries()).filter(([appId, position]) => {
+    const current = currentState.iconPositions.get(appId);
+    return !current || current.x !== position.x || current.y !== position.y;
+  });
+  if (movedIcons.length > 0) {
+    changes.push(`Move ${pluralize(movedIcons.length, 'desktop icon')}`);
+  }
+
+  const currentNames = new Set(currentState.workspaces.map(w => w.name));
+  const incomingNames = new Set(workspaces.map(w => w.name));
+  workspaces.forEach(({ name }) => {
+    changes.push(currentNames.has(name) ? `Replace workspace "${name}"` : `Add workspace "${name}"`);
+  });
+  currentState.workspaces.forEach(({ name }) => {
+    if (!incomingNames.has(name)) {
+      changes.push(`Remove workspace "${name}"`);
+    }
+  });
+
+  Object.keys(preferences).forEach(key => {
+    if (preferences[key] !== currentState.preferences[key]) {
+      changes.push(`Preference ${key}: ${currentState.preferences[key]} → ${preferences[key]}`);
+    }
+  });
+
+  preview.valid = true;
+  preview.payload = {
+    theme,
+    windows,
+    iconPositions: Array.from(iconPositions.entries()),
+    preferences,
+    workspaces
+  };
+
+  return preview;
+}
@@ -0,0 +1,222 @@
+/**
+ * Storage Adapters
+ * Interchangeable async key/value backends for persisting AppState
+ */
+
+import {
+  STORAGE_BACKENDS,
+  STORAGE_KEY_BACKEND,
+  INDEXED_DB_NAME,
+  INDEXED_DB_STORE
+} from './constants.js';
+
+/**
+ * Adapter interface:
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - One of STORAGE_BACKENDS
+ * @property {Function} isAvailable - () => boolean, whether the backend can be used here
+ * @property {Function} getItem - (key) => Promise<string|null>
+ * @property {Function} setItem - (key, value) => Promise<void>
+ * @property {Function} removeItem - (key) => Promise<void>
+ */
+
+/**
+ * window.localStorage backend (synchronous underneath, ~5MB quota)
+ */
+export class LocalStorageAdapter {
+  constructor() {
+    this.name = STORAGE_BACKENDS.LOCAL;
+  }
+
+  isAvailable() {
+    try {
+      const testKey = '__portfolio-os-storage-test__';
+      localStorage.setItem(testKey, testKey);
+      localStorage.removeItem(testKey);
+      return true;
+    } catch {
+      // Missing, disabled, or private browsing with zero quota
+      return false;
+    }
+  }
+
+  async getItem(key) {
+    return localStorage.getItem(key);
+  }
+
+  async setItem(key, value) {
+    localStorage.setItem(key, value);
+  }
+
+  async removeItem(key) {
+    localStorage.removeItem(key);
+  }
+}
+
+/**
+ * IndexedDB backend for larger payloads (app documents, window content)
+ */
+export class IndexedDBAdapter {
+  /**
+   * @param {string} dbName - Database name
+   * @param {string} storeName - Object store name
+   */
+  constructor(dbName = INDEXED_DB_NAME, storeName = INDEXED_DB_STORE) {
+    this.name = STORAGE_BACKENDS.INDEXED_DB;
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this._dbPromise = null;
+  }
+
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  async getItem(key) {
+    const value = await this._request('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  async setItem(key, value) {
+    await this._request('readwrite', store => store.put(value, key));
+  }
+
+  async removeItem(key) {
+    await this._request('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * Open (once) the database
+   * @private
+   * @returns {Promise<IDBDatabase>}
+   */
+  _open() {
+    if (!this._dbPromise) {
+      this._dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Allow a retry if opening failed
+      this._dbPromise.catch(() => {
+        this._dbPromise = null;
+      });
+    }
+    return this._dbPromise;
+  }
+
+  /**
+   * Run a single request in its own transaction
+   * @private
+   * @param {IDBTransactionMode} mode
+   * @param {Function} makeRequest - (store) => IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async _request(mode, makeRequest) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = makeRequest(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+/**
+ * In-memory backend for tests and private browsing (lost on reload)
+ */
+export class MemoryStorageAdapter {
+  constructor() {
+    this.name = STORAGE_BACKENDS.MEMORY;
+    this._items = new Map();
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async getItem(key) {
+    return this._items.has(key) ? this._items.get(key) : null;
+  }
+
+  async setItem(key, value) {
+    this._items.set(key, String(value));
+  }
+
+  async removeItem(key) {
+    this._items.delete(key);
+  }
+}
+
+/**
+ * Adapter constructors by backend name, in fallback order
+ */
+const ADAPTERS = {
+  [STORAGE_BACKENDS.LOCAL]: LocalStorageAdapter,
+  [STORAGE_BACKENDS.INDEXED_DB]: IndexedDBAdapter,
+  [STORAGE_BACKENDS.MEMORY]: MemoryStorageAdapter
+};
+
+/**
+ * Backend recorded by a previous session that had to fall back, if any
+ * The marker lives in localStorage, which is small enough to take it even
+ * when the state itself no longer fits
+ * @returns {string|null} One of STORAGE_BACKENDS
+ */
+export function readBackendMarker() {
+  try {
+    const name = localStorage.getItem(STORAGE_KEY_BACKEND);
+    return ADAPTERS[name] ? name : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Record which backend holds the saved state, or clear the record
+ * @param {string|null} name - Backend name; null for the default backend
+ * @returns {boolean} Whether the marker was written
+ */
+export function writeBackendMarker(name) {
+  try {
+    if (name) {
+      localStorage.setItem(STORAGE_KEY_BACKEND, name);
+    } else {
+      localStorage.removeItem(STORAGE_KEY_BACKEND);
+    }
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Create the first available adapter, starting from the preferred backend
+ * Falls through the remaining backends in order; memory always works
+ * @param {string|StorageAdapter} preferred - Backend name or adapter instance
+ * @param {string[]} exclude - Backend names to skip (e.g. ones that already failed)
+ * @returns {StorageAdapter}
+ */
+export function createStorageAdapter(preferred = STORAGE_BACKENDS.LOCAL, exclude = []) {
+  if (preferred && typeof preferred === 'object') {
+    return preferred;
+  }
+
+  const order = Object.keys(ADAPTERS);
+  const candidates = [preferred, ...order.filter(name => name !== preferred)]
+    .filter(name => ADAPTERS[name] && !exclude.includes(name));
+
+  for (const name of candidates) {
+    const adapter = new ADAPTERS[name]();
+    if (adapter.isAvailable()) {
+      return adapter;
+    }
+  }
+
+  return new MemoryStorageAdapter();
+}
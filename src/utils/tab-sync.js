@@ -0,0 +1,91 @@
+/**
+ * Tab Sync
+ * Message transport between browser tabs of the same origin
+ * Uses BroadcastChannel where available, otherwise storage events
+ */
+
+import { TAB_SYNC_CHANNEL, STORAGE_KEY_TAB_SYNC } from './constants.js';
+
+export class TabSync {
+  /**
+   * @param {string} channelName - Channel shared by all tabs
+   */
+  constructor(channelName = TAB_SYNC_CHANNEL) {
+    this.tabId = `tab-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+    this.listeners = new Set();
+    this._channel = null;
+    this._handleStorage = null;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this._channel = new BroadcastChannel(channelName);
+      this._channel.onmessage = (e) => this._receive(e.data);
+    } else if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+      // Fallback: storage events fire in every other tab when the key changes
+      this._handleStorage = (e) => {
+        if (e.key !== STORAGE_KEY_TAB_SYNC || !e.newValue) return;
+        try {
+          this._receive(JSON.parse(e.newValue));
+        } catch (error) {
+          console.error('Failed to parse tab sync message:', error);
+        }
+      };
+      window.addEventListener('storage', this._handleStorage);
+    }
+  }
+
+  /**
+   * Send a message to all other tabs
+   * @param {Object} message - JSON-safe message
+   */
+  post(message) {
+    const envelope = { ...message, sourceTabId: this.tabId };
+
+    try {
+      if (this._channel) {
+        this._channel.postMessage(envelope);
+      } else if (this._handleStorage) {
+        // Nonce guarantees a change event even for identical messages
+        localStorage.setItem(STORAGE_KEY_TAB_SYNC, JSON.stringify({
+          ...envelope,
+          nonce: Math.random()
+        }));
+      }
+    } catch (error) {
+      console.error('Failed to post tab sync message:', error);
+    }
+  }
+
+  /**
+   * Listen for messages from other tabs
+   * @param {Function} callback - Receives the message object
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Stop listening and release the channel
+   */
+  close() {
+    if (this._channel) {
+      this._channel.close();
+      this._channel = null;
+    }
+    if (this._handleStorage) {
+      window.removeEventListener('storage', this._handleStorage);
+      this._handleStorage = null;
+    }
+    this.listeners.clear();
+  }
+
+  /**
+   * @private
+   * @param {Object} message
+   */
+  _receive(message) {
+    if (!message || message.sourceTabId === this.tabId) return;
+    this.listeners.forEach(callback => callback(message));
+  }
+}
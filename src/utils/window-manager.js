@@ -11,7 +11,15 @@ import {
   WINDOW_SNAP_THRESHOLD,
   WINDOW_MIN_VISIBLE_PIXELS,
   TOPBAR_HEIGHT,
-  APPBAR_HEIGHT
+  APPBAR_HEIGHT,
+  SNAP_EDGE_THRESHOLD,
+  SNAP_CORNER_SIZE,
+  SNAP_THIRDS_MIN_WIDTH,
+  SNAP_ZONES,
+  WINDOW_INITIAL_WIDTH,
+  WINDOW_INITIAL_HEIGHT,
+  MASTER_STACK_RATIO,
+  Z_INDEX
 } from './constants.js';
 
 /**
@@ -127,20 +135,41 @@ export function getAvailableDesktopBounds(desktopSize) {
 
 /**
  * Constrain window size to min/max bounds
+ * With an aspect ratio, the size shrinks to the largest box of that
+ * ratio that fits inside the clamped size, then is clamped again so
+ * neither side leaves its bounds. When no size of that ratio fits the
+ * bounds, the ratio is dropped rather than exceeding the maximum
  * @param {Object} size - {width, height}
  * @param {Object} minSize - {width, height}
  * @param {Object} maxSize - {width, height}
+ * @param {number|null} aspectRatio - Width / height to keep, or null
  * @returns {Object} - Constrained {width, height}
  */
 export function constrainSize(
   size,
   minSize = { width: WINDOW_MIN_WIDTH, height: WINDOW_MIN_HEIGHT },
-  maxSize = { width: Infinity, height: Infinity }
+  maxSize = { width: Infinity, height: Infinity },
+  aspectRatio = null
 ) {
-  return {
-    width: Math.max(minSize.width, Math.min(size.width, maxSize.width)),
-    height: Math.max(minSize.height, Math.min(size.height, maxSize.height))
-  };
+  const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
+  let width = clamp(size.width, minSize.width, maxSize.width);
+  let height = clamp(size.height, minSize.height, maxSize.height);
+
+  if (aspectRatio) {
+    // Width range in which both sides stay inside their bounds at the ratio;
+    // a height bound is expressed as the matching width so the width follows it
+    const minWidth = Math.max(minSize.width, minSize.height * aspectRatio);
+    const maxWidth = Math.min(maxSize.width, maxSize.height * aspectRatio);
+
+    // An empty range leaves the clamped size without the ratio
+    if (minWidth <= maxWidth) {
+      const fitted = width / height > aspectRatio ? height * aspectRatio : width;
+      width = Math.round(clamp(fitted, minWidth, maxWidth));
+      height = Math.round(width / aspectRatio);
+    }
+  }
+
+  return { width, height };
 }
 
 /**
@@ -185,6 +214,8 @@ export function getResizeCursor(handle) {
  * @param {Object} currentPos - Current mouse position {x, y}
  * @param {Object} originalWindowData - Original window state
  * @param {Object} minSize - Minimum size constraints
+ * @param {Object} maxSize - Maximum size constraints
+ * @param {number|null} aspectRatio - Width / height to keep, or null
  * @returns {Object} - {position, size}
  */
 export function calculateResize(
@@ -192,32 +223,53 @@ export function calculateResize(
   startPos,
   currentPos,
   originalWindowData,
-  minSize = { width: WINDOW_MIN_WIDTH, height: WINDOW_MIN_HEIGHT }
+  minSize = { width: WINDOW_MIN_WIDTH, height: WINDOW_MIN_HEIGHT },
+  maxSize = { width: Infinity, height: Infinity },
+  aspectRatio = null
 ) {
   const deltaX = currentPos.x - startPos.x;
   const deltaY = currentPos.y - startPos.y;
+  const original = originalWindowData;
 
-  let { x, y } = originalWindowData.position;
-  let { width, height } = originalWindowData.size;
+  let { x, y } = original.position;
+  let { width, height } = original.size;
 
   // Handle horizontal resize
   if (handle.includes('e')) {
-    width = Math.max(minSize.width, originalWindowData.size.width + deltaX);
+    width = original.size.width + deltaX;
   } else if (handle.includes('w')) {
-    const newWidth = Math.max(minSize.width, originalWindowData.size.width - deltaX);
-    const widthDiff = originalWindowData.size.width - newWidth;
-    x = originalWindowData.position.x + widthDiff;
-    width = newWidth;
+    width = original.size.width - deltaX;
   }
 
   // Handle vertical resize
   if (handle.includes('s')) {
-    height = Math.max(minSize.height, originalWindowData.size.height + deltaY);
+    height = original.size.height + deltaY;
   } else if (handle.includes('n')) {
-    const newHeight = Math.max(minSize.height, originalWindowData.size.height - deltaY);
-    const heightDiff = originalWindowData.size.height - newHeight;
-    y = originalWindowData.position.y + heightDiff;
-    height = newHeight;
+    height = original.size.height - deltaY;
+  }
+
+  if (aspectRatio) {
+    const horizontal = handle.includes('e') || handle.includes('w');
+    const vertical = handle.includes('n') || handle.includes('s');
+    // Corner handles follow whichever axis moved further
+    const widthLeads = horizontal &&
+      (!vertical || Math.abs(deltaX) >= Math.abs(deltaY) * aspectRatio);
+
+    if (widthLeads) {
+      height = width / aspectRatio;
+    } else {
+      width = height * aspectRatio;
+    }
+  }
+
+  ({ width, height } = constrainSize({ width, height }, minSize, maxSize, aspectRatio));
+
+  // Keep the opposite edge in place when dragging the west or north edge
+  if (handle.includes('w')) {
+    x = original.position.x + original.size.width - width;
+  }
+  if (handle.includes('n')) {
+    y = original.position.y + original.size.height - height;
   }
 
   return {
@@ -226,6 +278,19 @@ export function calculateResize(
   };
 }
 
+/**
+ * CSS z-index of a window
+ * Always-on-top windows are lifted into their own layer above normal
+ * windows; AppState keeps zIndex below Z_INDEX.WINDOW_PINNED so the
+ * layers never overlap
+ * @param {Object} windowData - Window object
+ * @returns {number}
+ */
+export function getWindowStackIndex(windowData) {
+  const zIndex = windowData.zIndex || Z_INDEX.WINDOW_BASE;
+  return windowData.isPinned ? zIndex + Z_INDEX.WINDOW_PINNED - Z_INDEX.WINDOW_BASE : zIndex;
+}
+
 /**
  * Check if point is within window bounds
  * @param {Object} point - {x, y}
@@ -286,3 +351,373 @@ export function normalizeWindowBounds(windowData, bounds) {
     size: { width, height }
   };
 }
+
+/**
+ * Check whether thirds snap layouts apply to a desktop
+ * @param {Object} bounds - Available desktop bounds {width, height}
+ * @param {boolean} enabled - The snapThirds preference
+ * @returns {boolean}
+ */
+export function isThirdsLayoutAvailable(bounds, enabled) {
+  return Boolean(enabled) && bounds.width >= SNAP_THIRDS_MIN_WIDTH;
+}
+
+/**
+ * Find the snap zone under the pointer while dragging
+ * Left/right edges snap to halves (thirds in thirds mode), corners to
+ * quarters, the top edge maximizes and, in thirds mode, the bottom edge
+ * snaps to the center third
+ * @param {Object} point - Pointer {x, y} relative to the desktop area
+ * @param {Object} bounds - Available desktop bounds {width, height}
+ * @param {Object} options - {thirds}
+ * @returns {string|null} One of SNAP_ZONES, or null
+ */
+export function getSnapZoneAtPoint(point, bounds, { thirds = false } = {}) {
+  const atLeft = point.x <= SNAP_EDGE_THRESHOLD;
+  const atRight = point.x >= bounds.width - SNAP_EDGE_THRESHOLD;
+  const nearTop = point.y <= SNAP_CORNER_SIZE;
+  const nearBottom = point.y >= bounds.height - SNAP_CORNER_SIZE;
+
+  if (atLeft || atRight) {
+    if (nearTop) return atLeft ? SNAP_ZONES.TOP_LEFT : SNAP_ZONES.TOP_RIGHT;
+    if (nearBottom) return atLeft ? SNAP_ZONES.BOTTOM_LEFT : SNAP_ZONES.BOTTOM_RIGHT;
+    if (thirds) return atLeft ? SNAP_ZONES.LEFT_THIRD : SNAP_ZONES.RIGHT_THIRD;
+    return atLeft ? SNAP_ZONES.LEFT : SNAP_ZONES.RIGHT;
+  }
+
+  if (point.y <= SNAP_EDGE_THRESHOLD) return SNAP_ZONES.MAXIMIZE;
+  if (thirds && point.y >= bounds.height - SNAP_EDGE_THRESHOLD) return SNAP_ZONES.CENTER_THIRD;
+
+  return null;
+}
+
+/**
+ * Get the position and size a window takes in a snap zone
+ * @param {string} zone - One of SNAP_ZONES
+ * @param {Object} bounds - Available desktop bounds {width, height}
+ * @returns {Object|null} {position, size}, or null for an unknown zone
+ */
+export function getSnapZoneBounds(zone, bounds) {
+  const halfWidth = Math.floor(bounds.width / 2);
+  const halfHeight = Math.floor(bounds.height / 2);
+  const thirdWidth = Math.floor(bounds.width / 3);
+
+  const rect = (x, y, width, height) => ({
+    position: { x, y },
+    size: { width, height }
+  });
+
+  switch (zone) {
+    case SNAP_ZONES.LEFT:
+      return rect(0, 0, halfWidth, bounds.height);
+    case SNAP_ZONES.RIGHT:
+      return rect(halfWidth, 0, bounds.width - halfWidth, bounds.height);
+    case SNAP_ZONES.TOP_LEFT:
+      return rect(0, 0, halfWidth, halfHeight);
+    case SNAP_ZONES.TOP_RIGHT:
+      return rect(halfWidth, 0, bounds.width - halfWidth, halfHeight);
+    case SNAP_ZONES.BOTTOM_LEFT:
+      return rect(0, halfHeight, halfWidth, bounds.height - halfHeight);
+    case SNAP_ZONES.BOTTOM_RIGHT:
+      return rect(halfWidth, halfHeight, bounds.width - halfWidth, bounds.height - halfHeight);
+    case SNAP_ZONES.LEFT_THIRD:
+      return rect(0, 0, thirdWidth, bounds.height);
+    case SNAP_ZONES.CENTER_THIRD:
+      return rect(thirdWidth, 0, thirdWidth, bounds.height);
+    case SNAP_ZONES.RIGHT_THIRD:
+      return rect(thirdWidth * 2, 0, bounds.width - thirdWidth * 2, bounds.height);
+    case SNAP_ZONES.MAXIMIZE:
+      return rect(0, 0, bounds.width, bounds.height);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Find the snap zone a window currently fills exactly
+ * @param {Object} windowData - Window object
+ * @param {Object} bounds - Available desktop bounds {width, height}
+ * @returns {string|null} One of SNAP_ZONES, or null
+ */
+export function findSnapZone(windowData, bounds) {
+  if (windowData.isMaximized) return SNAP_ZONES.MAXIMIZE;
+
+  const { position, size } = windowData;
+  return Object.values(SNAP_ZONES).find(zone => {
+    const zoneBounds = getSnapZoneBounds(zone, bounds);
+    return zoneBounds.position.x === position.x &&
+           zoneBounds.position.y === position.y &&
+           zoneBounds.size.width === size.width &&
+           zoneBounds.size.height === size.height;
+  }) || null;
+}
+
+/**
+ * Keyboard snap transitions: direction -> current zone -> next zone
+ * Zones not listed fall back to the direction's default
+ */
+const SNAP_KEY_TRANSITIONS = {
+  left: {
+    [SNAP_ZONES.TOP_RIGHT]: SNAP_ZONES.TOP_LEFT,
+    [SNAP_ZONES.BOTTOM_RIGHT]: SNAP_ZONES.BOTTOM_LEFT,
+    [SNAP_ZONES.RIGHT_THIRD]: SNAP_ZONES.CENTER_THIRD,
+    [SNAP_ZONES.CENTER_THIRD]: SNAP_ZONES.LEFT_THIRD
+  },
+  right: {
+    [SNAP_ZONES.TOP_LEFT]: SNAP_ZONES.TOP_RIGHT,
+    [SNAP_ZONES.BOTTOM_LEFT]: SNAP_ZONES.BOTTOM_RIGHT,
+    [SNAP_ZONES.LEFT_THIRD]: SNAP_ZONES.CENTER_THIRD,
+    [SNAP_ZONES.CENTER_THIRD]: SNAP_ZONES.RIGHT_THIRD
+  },
+  up: {
+    [SNAP_ZONES.LEFT]: SNAP_ZONES.TOP_LEFT,
+    [SNAP_ZONES.RIGHT]: SNAP_ZONES.TOP_RIGHT,
+    [SNAP_ZONES.BOTTOM_LEFT]: SNAP_ZONES.LEFT,
+    [SNAP_ZONES.BOTTOM_RIGHT]: SNAP_ZONES.RIGHT
+  },
+  down: {
+    [SNAP_ZONES.LEFT]: SNAP_ZONES.BOTTOM_LEFT,
+    [SNAP_ZONES.RIGHT]: SNAP_ZONES.BOTTOM_RIGHT,
+    [SNAP_ZONES.TOP_LEFT]: SNAP_ZONES.LEFT,
+    [SNAP_ZONES.TOP_RIGHT]: SNAP_ZONES.RIGHT
+  }
+};
+
+/**
+ * Get the zone a window moves to when snapped with the keyboard
+ * @param {string|null} currentZone - Zone the window currently fills
+ * @param {string} direction - 'left', 'right', 'up' or 'down'
+ * @param {Object} options - {thirds}
+ * @returns {string|null} Next zone, or null to leave the snap layout
+ */
+export function getNextSnapZone(currentZone, direction, { thirds = false } = {}) {
+  const next = SNAP_KEY_TRANSITIONS[direction]?.[currentZone];
+  if (next) return next;
+
+  switch (direction) {
+    case 'left':
+      return thirds ? SNAP_ZONES.LEFT_THIRD : SNAP_ZONES.LEFT;
+    case 'right':
+      return thirds ? SNAP_ZONES.RIGHT_THIRD : SNAP_ZONES.RIGHT;
+    case 'up':
+      return SNAP_ZONES.MAXIMIZE;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the visible windows whose edges a window can stick to
+ * A neighbour is any other visible window within `threshold` of the rect
+ * @param {Object} rect - {position, size} of the window being moved
+ * @param {Array} windows - All windows
+ * @param {string} excludeId - ID of the window being moved
+ * @param {number} threshold - Snap threshold in pixels
+ * @returns {Array} Neighbouring windows
+ */
+export function getSnapNeighbours(rect, windows, excludeId, threshold = WINDOW_SNAP_THRESHOLD) {
+  const inflated = {
+    position: { x: rect.position.x - threshold, y: rect.position.y - threshold },
+    size: { width: rect.size.width + threshold * 2, height: rect.size.height + threshold * 2 }
+  };
+
+  // Shaded windows are only a titlebar, so their edges aren't where the record says
+  return windows.filter(w =>
+    w.id !== excludeId && !w.isMinimized && !w.isShaded && isOverlapping(inflated, w)
+  );
+}
+
+/**
+ * Find the candidate line closest to any of the given edges
+ * @param {number[]} edges - Edge coordinates of the moving window
+ * @param {number[]} lines - Edge coordinates of neighbouring windows
+ * @param {number} threshold - Snap threshold in pixels
+ * @returns {number} Offset to apply (0 if nothing is within threshold)
+ */
+function findEdgeOffset(edges, lines, threshold) {
+  let best = null;
+
+  edges.forEach(edge => {
+    lines.forEach(line => {
+      const offset = line - edge;
+      if (Math.abs(offset) <= threshold && (best === null || Math.abs(offset) < Math.abs(best))) {
+        best = offset;
+      }
+    });
+  });
+
+  return best ?? 0;
+}
+
+/**
+ * Collect the vertical (x) and horizontal (y) edge lines of windows
+ * @param {Array} windows - Windows
+ * @returns {Object} {x: number[], y: number[]}
+ */
+function getEdgeLines(windows) {
+  return {
+    x: windows.flatMap(w => [w.position.x, w.position.x + w.size.width]),
+    y: windows.flatMap(w => [w.position.y, w.position.y + w.size.height])
+  };
+}
+
+/**
+ * Stick a dragged window to the edges of neighbouring windows
+ * Edges snap both beside a neighbour (left to right) and in line with it
+ * (top to top, bottom to bottom)
+ * @param {Object} position - {x, y}
+ * @param {Object} size - {width, height}
+ * @param {Array} neighbours - Windows to snap to (see getSnapNeighbours)
+ * @param {number} threshold - Snap threshold in pixels
+ * @returns {Object} - Snapped {x, y}
+ */
+export function snapToWindows(position, size, neighbours, threshold = WINDOW_SNAP_THRESHOLD) {
+  const lines = getEdgeLines(neighbours);
+
+  return {
+    x: position.x + findEdgeOffset([position.x, position.x + size.width], lines.x, threshold),
+    y: position.y + findEdgeOffset([position.y, position.y + size.height], lines.y, threshold)
+  };
+}
+
+/**
+ * Stick the edges being resized to the edges of neighbouring windows
+ * Only the edges named by the handle move
+ * @param {string} handle - Resize handle (n, s, e, w, ne, nw, se, sw)
+ * @param {Object} rect - {position, size} after the raw resize
+ * @param {Array} neighbours - Windows to snap to (see getSnapNeighbours)
+ * @param {Object} minSize - Minimum size constraints
+ * @param {number} threshold - Snap threshold in pixels
+ * @returns {Object} - {position, size}
+ */
+export function snapResizeToWindows(
+  handle,
+  rect,
+  neighbours,
+  minSize = { width: WINDOW_MIN_WIDTH, height: WINDOW_MIN_HEIGHT },
+  threshold = WINDOW_SNAP_THRESHOLD
+) {
+  const lines = getEdgeLines(neighbours);
+  let { x, y } = rect.position;
+  let { width, height } = rect.size;
+
+  if (handle.includes('e')) {
+    width = Math.max(minSize.width, width + findEdgeOffset([x + width], lines.x, threshold));
+  } else if (handle.includes('w')) {
+    const offset = findEdgeOffset([x], lines.x, threshold);
+    if (width - offset >= minSize.width) {
+      x += offset;
+      width -= offset;
+    }
+  }
+
+  if (handle.includes('s')) {
+    height = Math.max(minSize.height, height + findEdgeOffset([y + height], lines.y, threshold));
+  } else if (handle.includes('n')) {
+    const offset = findEdgeOffset([y], lines.y, threshold);
+    if (height - offset >= minSize.height) {
+      y += offset;
+      height -= offset;
+    }
+  }
+
+  return {
+    position: { x, y },
+    size: { width, height }
+  };
+}
+
+/**
+ * Lay windows out in a grid filling the desktop
+ * The last row stretches its windows when it is not full
+ * @param {number} count - Number of windows
+ * @param {Object} bounds - Available desktop bounds {width, height}
+ * @returns {Array} {position, size} per window, row by row
+ */
+export function getTileLayout(count, bounds) {
+  if (count === 0) return [];
+
+  const columns = Math.ceil(Math.sqrt(count));
+  const rows = Math.ceil(count / columns);
+  const height = Math.floor(bounds.height / rows);
+
+  return Array.from({ length: count }, (_, index) => {
+    const row = Math.floor(index / columns);
+    const column = index % columns;
+    const inRow = row === rows - 1 ? count - row * columns : columns;
+    const width = Math.floor(bounds.width / inRow);
+
+    return {
+      position: { x: column * width, y: row * height },
+      size: {
+        // Last column/row absorbs rounding so the grid fills the desktop
+        width: column === inRow - 1 ? bounds.width - column * width : width,
+        height: row === rows - 1 ? bounds.height - row * height : height
+      }
+    };
+  });
+}
+
+/**
+ * Stack windows diagonally from the top-left corner
+ * @param {number} count - Number of windows
+ * @param {Object} bounds - Available desktop bounds {width, height}
+ * @returns {Array} {position, size} per window, back to front
+ */
+export function getCascadeLayout(count, bounds) {
+  const steps = Math.max(count - 1, 0);
+  const size = constrainSize(
+    {
+      width: Math.min(WINDOW_INITIAL_WIDTH, bounds.width - steps * WINDOW_CASCADE_OFFSET),
+      height: Math.min(WINDOW_INITIAL_HEIGHT, bounds.height - steps * WINDOW_CASCADE_OFFSET)
+    },
+    undefined,
+    bounds
+  );
+
+  // Wrap around when the stack would run off the desktop
+  const maxSteps = Math.max(
+    Math.floor(Math.min(bounds.width - size.width, bounds.height - size.height) / WINDOW_CASCADE_OFFSET),
+    0
+  );
+
+  return Array.from({ length: count }, (_, index) => {
+    const offset = (index % (maxSteps + 1)) * WINDOW_CASCADE_OFFSET;
+    return {
+      position: { x: offset, y: offset },
+      size: { ...size }
+    };
+  });
+}
+
+/**
+ * Master/stack tiling: the first window takes the left side, the rest
+ * share the right side in equal rows
+ * @param {number} count - Number of windows
+ * @param {Object} bounds - Available desktop bounds {width, height}
+ * @param {number} ratio - Share of the width given to the master window
+ * @returns {Array} {position, size} per window, master first
+ */
+export function getMasterStackLayout(count, bounds, ratio = MASTER_STACK_RATIO) {
+  if (count === 0) return [];
+  if (count === 1) {
+    return [{ position: { x: 0, y: 0 }, size: { width: bounds.width, height: bounds.height } }];
+  }
+
+  const masterWidth = Math.floor(bounds.width * ratio);
+  const stackCount = count - 1;
+  const stackHeight = Math.floor(bounds.height / stackCount);
+
+  const stack = Array.from({ length: stackCount }, (_, index) => ({
+    position: { x: masterWidth, y: index * stackHeight },
+    size: {
+      width: bounds.width - masterWidth,
+      height: index === stackCount - 1 ? bounds.height - index * stackHeight : stackHeight
+    }
+  }));
+
+  return [
+    { position: { x: 0, y: 0 }, size: { width: masterWidth, height: bounds.height } },
+    ...stack
+  ];
+}